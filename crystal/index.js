@@ -13,6 +13,9 @@ import {
   TextInputBuilder,
   TextInputStyle,
   ApplicationCommandOptionType,
+  StringSelectMenuBuilder,
+  UserSelectMenuBuilder,
+  ComponentType,
 } from "discord.js";
 
 import express from "express";
@@ -20,83 +23,727 @@ import dotenv from "dotenv";
 import fs from "fs";
 import path from "path";
 import { v4 as uuid } from "uuid";
+import fetch from "node-fetch";
 
 import { createInvoicePDF } from "./utils/invoice.js";
-import { createCryptomusInvoice, isCryptomusWebhookTrusted } from "./utils/crypto.js";
-import { createStripeCheckout, getStripe } from "./utils/stripe.js";
+import { issueInvoiceNumber, getInvoiceRecord, listInvoiceRecords, getInvoiceByNumber } from "./utils/invoiceNumbers.js";
+import { signToken, signedUrl, verifyToken } from "./utils/links.js";
+import { renderReceiptsPage } from "./utils/receiptsPage.js";
+import { renderTranscriptPage } from "./utils/transcriptPage.js";
+import {
+  keepAttachment,
+  imageInliner,
+  saveTranscript,
+  getTranscriptForOrder,
+  transcriptFolder,
+  transcriptHtml,
+} from "./utils/transcripts.js";
+import { UNPAID_STATUSES, ORDER_STATUSES, canTransition } from "./utils/orderLifecycle.js";
+import { resolvePeriod, computeStats, ordersToCsv } from "./utils/stats.js";
+import { renderBarChartPNG } from "./utils/chart.js";
+import {
+  listProducts,
+  getProduct,
+  isSoldOut,
+  addProduct,
+  editProduct,
+  archiveProduct,
+  reorderProduct,
+  setStock,
+  exportCatalog,
+  importCatalog,
+} from "./utils/products.js";
+import {
+  INVENTORY_KINDS,
+  addInventory,
+  addInventoryFile,
+  disableAutoDeliver,
+  inventorySummary,
+  claimInventory,
+} from "./utils/inventory.js";
+import {
+  createCryptomusInvoice,
+  isCryptomusWebhookTrusted,
+  classifyCryptomusStatus,
+  cryptomusReceivedUsd,
+  cryptomusReceivedInInvoiceCurrency,
+  retryInvoiceId,
+  topupInvoiceId,
+  isTopupInvoiceId,
+  baseOrderId,
+} from "./utils/crypto.js";
+import { createStripeCheckout, getStripe, refundStripePayment, fromMinor } from "./utils/stripe.js";
+import {
+  baseCurrency,
+  formatMoney,
+  convert,
+  getRates,
+  refreshRates,
+  setCurrencyPreference,
+  displayCurrency,
+  orderCurrency,
+  orderCurrencyFor,
+  toOrderCurrency,
+} from "./utils/currency.js";
+import {
+  recordWebhookEvent,
+  finishWebhookEvent,
+  getWebhookEvent,
+  listWebhookEvents,
+} from "./utils/webhookEvents.js";
+import { initDb, transaction } from "./utils/db.js";
 import {
   upsertOrder,
-  getOrderByChannelId,
+  getOrdersByChannelId,
   getOrderById,
+  createOrder,
+  transitionOrder,
+  startPayment,
+  getOrderByTransactionId,
   markPaid,
-  ensureDataFiles,
+  markRefunded,
+  findOrderByIdPrefix,
+  searchOrders,
+  logOrderAction,
+  getOrdersCreatedBetween,
+  recordCryptoReceipt,
 } from "./utils/store.js";
 
 import {
-  findCoupon,
-  applyCouponToAmount,
+  checkCoupon,
+  applyCouponToItems,
   addCoupon,
+  editCoupon,
+  reserveCouponUse,
   deleteCoupon,
   listCoupons,
-  incrementCouponUse,
+  generateCoupons,
+  couponsToCsv,
 } from "./utils/coupons.js";
+import { getReferralCode, referralEarnings } from "./utils/referrals.js";
+import { getBalance, adjustWallet, walletHistory } from "./utils/wallet.js";
+import { taxEnabled, computeTax, saveBillingProfile, getBillingProfile } from "./utils/tax.js";
+import {
+  getTicket,
+  openTicket,
+  setControlMessage,
+  claimTicket,
+  unclaimTicket,
+  transferTicket,
+  closeTicket,
+  openTicketsFor,
+  reconcileTickets,
+  touchTicket,
+  setTicketHold,
+  setReminderStage,
+  idleTickets,
+  staffLeaderboard,
+} from "./utils/tickets.js";
+import {
+  PURCHASE_TYPE,
+  listTicketTypes,
+  getTicketType,
+  ticketChannelName,
+  getInactivityConfig,
+} from "./utils/ticketTypes.js";
 
 import {
-  ensurePendingCouponsFile,
   setPendingCoupon,
   getPendingCoupon,
   clearPendingCoupon,
 } from "./utils/pendingCoupons.js";
 
+import {
+  getCart,
+  addToCart,
+  setCartQty,
+  setCartMessage,
+  clearCart,
+  cartSubtotal,
+  orderItems,
+} from "./utils/cart.js";
+
 dotenv.config();
-ensureDataFiles();
-ensurePendingCouponsFile();
+initDb();
 
 fs.mkdirSync(path.resolve("./invoices"), { recursive: true });
 
 const STORE_NAME = process.env.STORE_NAME || "Crystal Store";
-const products = JSON.parse(fs.readFileSync("./products.json", "utf8"));
 
 /* ================== Express ================== */
 const app = express();
+// Behind a reverse proxy, set TRUST_PROXY (hop count or proxy address) so req.ip is the visitor's IP
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
 app.use("/webhook/cryptomus", express.json({ limit: "1mb" }));
 app.use("/webhook/stripe", express.raw({ type: "application/json" }));
-app.use(express.static("public"));
+app.use("/api", express.json({ limit: "20kb" }));
+// extensions: payment providers send buyers back to /success and /cancel
+app.use(express.static("public", { extensions: ["html"] }));
 app.get("/health", (_, res) => res.status(200).send("ok"));
 
-app.post("/webhook/cryptomus", async (req, res) => {
+// Live catalog for the website (archived products left out)
+// ?currency=EUR converts prices; unknown codes fall back to the base currency
+app.get("/api/products", (req, res) => {
+  const wanted = String(req.query.currency || "").toUpperCase();
+  const currency = getRates().rates[wanted] ? wanted : baseCurrency();
+  const list = exportCatalog()
+    .filter((p) => !p.archived)
+    .map(({ id, name, emoji, price, description, delivery, stock }) => ({
+      id,
+      name,
+      emoji,
+      price: convert(price, currency),
+      description,
+      delivery,
+      soldOut: stock !== null && stock <= 0,
+    }));
+  res.json({ currency, products: list });
+});
+
+// What the success/cancel pages may see of an order: no buyer, payment or staff details
+const PUBLIC_ORDER_STATES = {
+  pending: "waiting",
+  awaiting_payment: "waiting",
+  payment_failed: "waiting",
+  partially_paid: "waiting",
+  paid: "paid",
+  in_progress: "paid",
+  disputed: "paid",
+  delivered: "delivered",
+  closed: "delivered",
+  expired: "expired",
+  cancelled: "cancelled",
+  partially_refunded: "refunded",
+  refunded: "refunded",
+};
+
+function publicOrderView(order) {
+  const deliveredAt = (order.history || []).find((h) => h.to === "delivered")?.at || null;
+  return {
+    id: order.id,
+    status: order.status,
+    state: PUBLIC_ORDER_STATES[order.status] || "waiting",
+    items: orderItems(order).map((it) => ({ name: it.name, qty: Number(it.qty || 1) })),
+    currency: orderCurrency(order),
+    total: chargeTotal(order),
+    totalText: money(chargeTotal(order), orderCurrency(order)),
+    createdAt: order.createdAt || null,
+    paidAt: order.paidAt || null,
+    deliveredAt,
+    canResume: !order.paidAt && PAYABLE_STATUSES.has(order.status),
+  };
+}
+
+const orderFromToken = (req, res) => {
+  const order = getOrderById(req.params.id);
+  if (!order || !verifyToken("order", order.id, req.query.token)) {
+    res.status(404).json({ error: "Order not found or link expired" });
+    return null;
+  }
+  return order;
+};
+
+app.get("/api/orders/:id", (req, res) => {
+  const order = orderFromToken(req, res);
+  if (!order) return;
+  res.set("Cache-Control", "no-store").json(publicOrderView(order));
+});
+
+// Cancel page: reuse the payment link while it's still open, otherwise make a new one with the same provider
+app.post("/api/orders/:id/resume", async (req, res) => {
   try {
-    if (!isCryptomusWebhookTrusted(req, process.env)) return res.status(401).send("untrusted");
+    const order = orderFromToken(req, res);
+    if (!order) return;
+    if (order.paidAt || !PAYABLE_STATUSES.has(order.status)) {
+      return res.status(409).json({ error: `This order is ${order.status} and can't be paid` });
+    }
 
-    const payload = req.body || {};
-    const orderId = payload?.order_id;
-    const status = String(payload?.status || "").toLowerCase();
-    if (!orderId) return res.status(200).send("no order");
+    const open = order.payment?.url && order.payment?.expiresAt && Date.parse(order.payment.expiresAt) > Date.now() + 60_000;
+    if (open) return res.json({ url: order.payment.url });
 
-    const paidStatuses = new Set(["paid", "paid_over", "paid_partial"]);
-    if (!paidStatuses.has(status)) return res.status(200).send("not paid");
+    const actor = `customer:${order.userId}`;
+    const link =
+      order.payment?.provider === "cryptomus"
+        ? await createCryptoLink(order, { actor })
+        : await createStripeLink(order, { actor });
+    res.json({ url: link.url });
+  } catch (e) {
+    console.log("Resume checkout error:", e);
+    res.status(500).json({ error: "Could not create a payment link" });
+  }
+});
 
-    const order = markPaid(orderId, {
-      method: "crypto",
-      provider: "cryptomus",
-      transactionId: payload?.uuid || payload?.txid || payload?.payment_uuid || null,
-      paidAmount: payload?.amount || null,
+// Every website checkout makes a Stripe session (and maybe a coupon) and holds a coupon use, so cap it per IP.
+// Sessions are also short: the coupon hold ends when the session does.
+const WEB_CHECKOUT_LIMIT = Number(process.env.WEB_CHECKOUT_LIMIT || 5);
+const WEB_CHECKOUT_WINDOW_MS = 10 * 60_000;
+const WEB_SESSION_MINUTES = 31; // just above Stripe's 30-minute minimum
+const checkoutHits = new Map(); // ip → timestamps within the window
+
+function checkoutThrottled(ip, now = Date.now()) {
+  const recent = (checkoutHits.get(ip) || []).filter((t) => now - t < WEB_CHECKOUT_WINDOW_MS);
+  if (recent.length >= WEB_CHECKOUT_LIMIT) {
+    checkoutHits.set(ip, recent);
+    return true;
+  }
+  checkoutHits.set(ip, [...recent, now]);
+  // Drop idle IPs now and then so the map doesn't grow forever
+  if (checkoutHits.size > 5000) {
+    for (const [key, times] of checkoutHits) if (!times.some((t) => now - t < WEB_CHECKOUT_WINDOW_MS)) checkoutHits.delete(key);
+  }
+  return false;
+}
+
+// Website checkout: { items: [{ id, qty }] | productId, method: "stripe" | "crypto", coupon?, discordId?,
+// currency?, country?, vatId? } → { orderId, url, token }. The order is the same kind the Discord cart makes.
+app.post("/api/checkout", async (req, res) => {
+  if (checkoutThrottled(req.ip)) {
+    return res.status(429).json({ error: "Too many checkout attempts. Please wait a few minutes and try again." });
+  }
+  const body = req.body || {};
+  const wanted = Array.isArray(body.items) && body.items.length ? body.items : [{ id: body.productId, qty: body.qty || 1 }];
+  const items = wanted.slice(0, 25).map((it) => ({ id: String(it?.id || ""), qty: Math.floor(Number(it?.qty || 1)) }));
+  if (items.some((it) => !it.id || !(it.qty >= 1 && it.qty <= 99))) {
+    return res.status(400).json({ error: "Each item needs a product id and a quantity from 1 to 99" });
+  }
+
+  const method = body.method === "crypto" ? "crypto" : "stripe";
+  const discordId = String(body.discordId || "").trim() || null;
+  if (discordId && !/^\d{17,20}$/.test(discordId)) {
+    return res.status(400).json({ error: "Discord ID must be the numeric user ID (17–20 digits)" });
+  }
+  if (taxEnabled() && !body.country) return res.status(400).json({ error: "Country is required" });
+
+  let order;
+  try {
+    const user = discordId ? await client.users.fetch(discordId).catch(() => null) : null;
+    if (discordId && !user) return res.status(400).json({ error: "No Discord user has that ID" });
+    const wantedCurrency = String(body.currency || "").toUpperCase();
+    const billing = taxEnabled() ? { country: body.country, vatId: String(body.vatId || "").trim() || null, name: null } : null;
+    if (billing) computeTax({ ...billing, amount: 0 }); // bad country / VAT ID fails before a coupon is held
+
+    const built = buildCheckoutOrder({
+      items,
+      userId: discordId,
+      userTag: user?.tag || null,
+      // Anyone can type any Discord ID, so per-user, first-order and referral coupons stay Discord-only
+      verifiedUser: false,
+      currency: getRates().rates[wantedCurrency] ? wantedCurrency : baseCurrency(),
+      couponCode: String(body.coupon || "").trim() || null,
+      billing,
     });
+    // Unlike the Discord cart, a coupon that doesn't apply stops the checkout so the buyer sees why
+    if (built.couponError) return res.status(400).json({ error: `Coupon not applied: ${built.couponError}` });
+
+    order = { ...built.order, source: "web" };
+    createOrder(order, { actor: discordId ? `customer:${discordId}` : "web" });
+  } catch (e) {
+    return res.status(400).json({ error: e.message.replace(/\*\*/g, "") });
+  }
+
+  try {
+    const actor = discordId ? `customer:${discordId}` : "web";
+    const link = method === "crypto" ? await createCryptoLink(order, { actor }) : await createStripeLink(order, { actor });
+    res.json({ orderId: order.id, url: link.url, token: orderToken(order.id) });
+  } catch (e) {
+    console.log("Web checkout error:", e);
+    transitionOrder(order.id, "cancelled", { actor: "system", reason: "payment link failed" });
+    res.status(502).json({ error: "Could not create a payment link. Please try again later." });
+  }
+});
+
+// Attachments archived with a ticket transcript; the page links here with a signed token (see utils/transcripts.js)
+app.get("/transcripts/:channelId/files/:name", (req, res) => {
+  const { channelId, name } = req.params;
+  if (!/^\d+$/.test(channelId) || !verifyToken("transcript", channelId, req.query.token)) {
+    return res.status(403).send("This link is invalid or has expired.");
+  }
+  res.set("Cache-Control", "private, max-age=3600");
+  // root keeps the name inside the channel's files folder
+  res.sendFile(name, { root: path.join(transcriptFolder(channelId), "files"), dotfiles: "deny" }, (e) => {
+    if (e && !res.headersSent) res.status(404).send("Not found");
+  });
+});
+
+// Customer receipts, reached through the signed link from /myorders (?token= covers the user ID)
+const RECEIPT_LINK_DAYS = Number(process.env.RECEIPT_LINK_DAYS || 30);
+
+app.get("/receipts/:userId", (req, res) => {
+  const { userId } = req.params;
+  const token = String(req.query.token || "");
+  if (!verifyToken("receipts", userId, token)) return res.status(403).send("This link is invalid or has expired.");
+
+  const docUrl = (orderId, doc, download) =>
+    `/receipts/${userId}/${orderId}/${doc}.pdf?token=${encodeURIComponent(token)}${download ? "&download=1" : ""}`;
+
+  const { orders } = searchOrders({ userId }, { limit: 50 });
+  const rows = orders.map((o) => ({
+    id: o.id,
+    date: (o.createdAt || "").slice(0, 10),
+    status: o.status,
+    total: money(chargeTotal(o), orderCurrency(o)),
+    items: orderItems(o).map((it) => `${it.qty}× ${it.name}`).join(", "),
+    documents: [
+      ...(o.paidAt ? [{ label: "invoice", doc: "invoice" }] : []),
+      ...listInvoiceRecords(o.id)
+        .filter((d) => d.kind === "credit_note")
+        .map((d) => ({ label: `credit note ${d.number}`, doc: d.number })),
+    ].map((d) => ({ label: d.label, viewUrl: docUrl(o.id, d.doc), downloadUrl: docUrl(o.id, d.doc, true) })),
+  }));
+
+  res.set("Cache-Control", "no-store");
+  res.send(renderReceiptsPage({ storeName: STORE_NAME, userTag: orders[0]?.userTag, rows }));
+});
+
+// doc: "invoice" (regenerated if the file is gone) or a credit note number
+app.get("/receipts/:userId/:orderId/:doc.pdf", async (req, res) => {
+  try {
+    const { userId, orderId, doc } = req.params;
+    if (!verifyToken("receipts", userId, req.query.token)) return res.status(403).send("This link is invalid or has expired.");
 
-    if (order) {
-      // Mark coupon usage ONCE after successful payment
-      if (order?.pricing?.coupon?.code && !order?.pricing?.couponUsedMarked) {
-        incrementCouponUse(order.pricing.coupon.code);
-        order.pricing.couponUsedMarked = true;
-        upsertOrder(order);
+    const order = getOrderById(orderId);
+    if (!order || order.userId !== userId || !order.paidAt) return res.status(404).send("Not found");
+
+    let file;
+    if (doc === "invoice") file = await ensureInvoice(order);
+    else {
+      const record = getInvoiceByNumber(doc);
+      if (!record || record.orderId !== order.id) return res.status(404).send("Not found");
+      file = path.resolve(`./invoices/${record.number}.pdf`);
+      if (!fs.existsSync(file)) return res.status(404).send("Not found");
+    }
+
+    res.set("Cache-Control", "no-store");
+    if (req.query.download) return res.download(file);
+    res.type("application/pdf").set("Content-Disposition", `inline; filename="${path.basename(file)}"`);
+    res.sendFile(file);
+  } catch (e) {
+    console.log("Receipt download error:", e);
+    res.status(500).send("Could not load this receipt.");
+  }
+});
+
+/* -------- Webhook processing (shared by live deliveries and /webhook replay) -------- */
+const cryptomusEventId = (payload) =>
+  `cryptomus:${payload?.uuid || payload?.order_id || "unknown"}:${String(payload?.status || "").toLowerCase()}`;
+
+async function handleCryptomusPayload(payload) {
+  const orderId = baseOrderId(payload?.order_id);
+  const status = String(payload?.status || "").toLowerCase();
+  if (!orderId) return { status: "ignored", outcome: "no order" };
+
+  const order = getOrderById(orderId);
+  if (!order) return { status: "ignored", outcome: "order not found" };
+
+  const group = classifyCryptomusStatus(status);
+  const isTopup = isTopupInvoiceId(payload.order_id);
+  const invoiceUuid = payload?.uuid || payload.order_id;
+
+  if (group === "pending") return { status: "ignored", outcome: `in progress (${status})` };
+
+  if (group === "paid" || group === "underpaid") {
+    if (order.paidAt) return { status: "ignored", outcome: "already paid" };
+
+    // Invoices are issued in the order's currency
+    const cur = orderCurrency(order);
+    const expected = chargeTotal(order);
+    // A "paid" invoice is paid in full; otherwise count what actually arrived (reported in USD)
+    let amount = Number(payload?.amount || 0);
+    if (group === "underpaid") {
+      const usd = cryptomusReceivedUsd(payload);
+      try {
+        amount = cur === "USD" ? usd : convert(usd, cur, "USD");
+      } catch (e) {
+        // No USD rate (non-USD base currency): fall back to what Cryptomus reports in the invoice currency
+        amount = cryptomusReceivedInInvoiceCurrency(payload);
+        if (amount === null) {
+          console.log(`Cryptomus underpayment on ${order.id} not recorded: ${e.message}`);
+          await notifyOrderEvent(order, "⚠️ Underpayment Needs Review", [
+            `Cryptomus reported ${money(usd, "USD")} received, but it couldn't be converted to ${cur} (${e.message}).`,
+            "Check the invoice in Cryptomus and record the payment manually.",
+          ]);
+          return { status: "ignored", outcome: `underpaid, amount not convertible (${e.message})` };
+        }
+      }
+    }
+    const updated = recordCryptoReceipt(order.id, { invoiceUuid, amount, expected });
+
+    if (updated.payment.received + 0.009 >= expected) {
+      const paid = markPaid(order.id, {
+        method: "crypto",
+        provider: "cryptomus",
+        transactionId: order.payment?.transactionId || invoiceUuid,
+        paidAmount: money(updated.payment.received, cur),
+      });
+      await notifyPaid(paid);
+      await deliverFromInventory(paid);
+      return { status: "processed", outcome: "marked paid" };
+    }
+
+    const remaining = Number((expected - updated.payment.received).toFixed(2));
+    const partial =
+      updated.status === "partially_paid"
+        ? updated
+        : transitionOrder(order.id, "partially_paid", {
+            actor: "cryptomus",
+            reason: `received ${money(updated.payment.received, cur)} of ${money(expected, cur)}`,
+          });
+    await notifyOrderEvent(
+      partial,
+      "⚠️ Partial Payment Received",
+      [
+        `**Expected:** ${money(expected, cur)}`,
+        `**Received:** ${money(updated.payment.received, cur)}`,
+        `**Remaining:** ${money(remaining, cur)}`,
+        "",
+        status === "wrong_amount_waiting"
+          ? "Send the rest to the same payment link, or pay the balance with a new invoice below."
+          : "Pay the remaining balance with the button below.",
+      ],
+      { components: [topupRow(order.id)] }
+    );
+    return {
+      status: "processed",
+      outcome: `partially paid (${money(updated.payment.received, cur)}/${money(expected, cur)})`,
+    };
+  }
+
+  if (group === "expired" || group === "failed") {
+    const verb = group === "expired" ? "expired" : "failed";
+
+    if (isTopup) {
+      if (order.status !== "partially_paid") return { status: "ignored", outcome: `top-up ${verb}, order ${order.status}` };
+      await notifyOrderEvent(order, `⌛ Top-up Invoice ${verb[0].toUpperCase()}${verb.slice(1)}`, ["Create a new invoice for the remaining balance below."], {
+        log: false,
+        components: [topupRow(order.id)],
+      });
+      return { status: "processed", outcome: `top-up ${verb}` };
+    }
+
+    // A newer invoice may have replaced this one
+    if (order.status !== "awaiting_payment" || order.payment?.transactionId !== payload?.uuid) {
+      return { status: "ignored", outcome: `invoice not current (${order.status})` };
+    }
+
+    const updated = transitionOrder(order.id, group === "expired" ? "expired" : "payment_failed", {
+      actor: "cryptomus",
+      reason: `invoice ${status}`,
+    });
+    await notifyOrderEvent(
+      updated,
+      group === "expired" ? "⌛ Crypto Invoice Expired" : "❌ Crypto Payment Failed",
+      [`The Cryptomus invoice for this order has ${verb}.`, "Click below to get a new payment link."],
+      {
+        components: [
+          new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+              .setCustomId(`pay_crypto:${order.id}`)
+              .setLabel("New Payment Link")
+              .setEmoji("🪙")
+              .setStyle(ButtonStyle.Success)
+          ),
+        ],
       }
-      await notifyPaid(order);
+    );
+    return { status: "processed", outcome: updated.status };
+  }
+
+  if (group === "refunded") {
+    const updated = markRefunded(
+      order.id,
+      {
+        amountRefunded: order.payment?.received ?? chargeTotal(order),
+        full: true,
+        refundId: invoiceUuid,
+      },
+      { actor: "cryptomus", reason: "refund_paid" }
+    );
+    await notifyOrderEvent(updated, "↩️ Order Refunded", [
+      `**Refunded:** ${money(updated.refund.amount, orderCurrency(order))} (crypto)`,
+    ]);
+    await issueCreditNote(order, updated, { reason: "refunded via Cryptomus" });
+    return { status: "processed", outcome: "refunded" };
+  }
+
+  return { status: "ignored", outcome: `unhandled status ${status}` };
+}
+
+const topupRow = (orderId) =>
+  new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`pay_topup:${orderId}`)
+      .setLabel("Pay Remaining Balance")
+      .setEmoji("🪙")
+      .setStyle(ButtonStyle.Success)
+  );
+
+const cryptomusCallbackUrl = () => {
+  const cb = (process.env.PUBLIC_BASE_URL || "").replace(/\/$/, "") + "/webhook/cryptomus";
+  return cb.includes("http") ? cb : undefined;
+};
+
+// Orders in these states can be delivered with +dn
+const DELIVERABLE_STATUSES = new Set(["paid", "in_progress", "partially_refunded"]);
+
+// Orders in these states can get a (new) payment link
+const PAYABLE_STATUSES = new Set(["pending", "awaiting_payment", "expired", "payment_failed"]);
+
+const PAID_SESSION_STATUSES = new Set(["paid", "no_payment_required"]);
+
+async function handleStripeEvent(event) {
+  const obj = event.data?.object || {};
+
+  if (event.type === "checkout.session.completed" || event.type === "checkout.session.async_payment_succeeded") {
+    const orderId = obj?.metadata?.orderId;
+    if (!orderId) return { status: "ignored", outcome: "no order" };
+
+    const existing = getOrderById(orderId);
+    if (!existing) return { status: "ignored", outcome: "order not found" };
+    if (existing.paidAt) return { status: "ignored", outcome: "already paid" };
+
+    // Delayed methods (bank debits, vouchers) complete the session before the money arrives
+    if (!PAID_SESSION_STATUSES.has(obj.payment_status)) {
+      upsertOrder({
+        id: existing.id,
+        payment: { ...existing.payment, transactionId: obj.payment_intent || obj.id || null },
+      });
+      await notifyOrderEvent(
+        existing,
+        "⏳ Payment Processing",
+        ["Your payment was submitted and is still being confirmed.", "You will get a message here once it clears."],
+        { log: false }
+      );
+      return { status: "processed", outcome: "awaiting async payment" };
+    }
+
+    const order = markPaid(orderId, {
+      method: "stripe",
+      provider: "stripe",
+      transactionId: obj?.payment_intent || obj?.id || null,
+      paidAmount: obj?.amount_total ? money(fromMinor(obj.amount_total, obj.currency), obj.currency.toUpperCase()) : null,
+    });
+
+    await notifyPaid(order);
+    await deliverFromInventory(order);
+    return { status: "processed", outcome: "marked paid" };
+  }
+
+  if (event.type === "checkout.session.async_payment_failed") {
+    const order = getOrderById(obj?.metadata?.orderId);
+    if (!order) return { status: "ignored", outcome: "order not found" };
+
+    const updated = transitionOrder(order.id, "payment_failed", { actor: "stripe", reason: event.type });
+    await notifyOrderEvent(updated, "❌ Payment Failed", [
+      "The bank payment for this order did not go through.",
+      "You can pick a payment method again to retry.",
+    ]);
+    return { status: "processed", outcome: "payment failed" };
+  }
+
+  if (event.type === "checkout.session.expired") {
+    const order = getOrderById(obj?.metadata?.orderId);
+    if (!order) return { status: "ignored", outcome: "order not found" };
+    // A newer checkout link may have replaced this session
+    if (order.status !== "awaiting_payment" || order.payment?.transactionId !== obj.id) {
+      return { status: "ignored", outcome: `session not current (${order.status})` };
+    }
+
+    const updated = transitionOrder(order.id, "expired", { actor: "stripe", reason: event.type });
+    await notifyOrderEvent(updated, "⌛ Checkout Expired", [
+      "The Stripe checkout link for this order has expired.",
+      "Click **Stripe** again to get a new link.",
+    ]);
+    return { status: "processed", outcome: "expired" };
+  }
+
+  if (event.type === "charge.refunded") {
+    const order = getOrderByTransactionId(obj?.payment_intent);
+    if (!order) return { status: "ignored", outcome: "order not found" };
+    // Refunds issued with /order refund are recorded before Stripe reports them
+    const cur = String(obj.currency || "usd").toUpperCase();
+    if (order.status === "refunded" || Number(order.refund?.amount || 0) >= fromMinor(obj.amount_refunded || 0, cur)) {
+      return { status: "ignored", outcome: "refund already recorded" };
     }
 
-    return res.status(200).send("ok");
+    const full = obj.refunded === true || Number(obj.amount_refunded) >= Number(obj.amount);
+    const amountRefunded = fromMinor(obj.amount_refunded || 0, cur);
+    const updated = markRefunded(
+      order.id,
+      { amountRefunded, full, refundId: obj.refunds?.data?.[0]?.id || null },
+      { actor: "stripe", reason: event.type }
+    );
+
+    await notifyOrderEvent(updated, full ? "↩️ Order Refunded" : "↩️ Order Partially Refunded", [
+      `**Refunded:** ${money(amountRefunded, cur)} of ${money(fromMinor(obj.amount || 0, cur), cur)}`,
+      full && order.pricing?.couponUsedMarked ? `**Coupon:** \`${order.pricing.coupon.code}\` use returned` : "",
+    ]);
+    await issueCreditNote(order, updated, { reason: "refunded via Stripe" });
+    return { status: "processed", outcome: updated.status };
+  }
+
+  if (event.type === "charge.dispute.created") {
+    const order = getOrderByTransactionId(obj?.payment_intent);
+    if (!order) return { status: "ignored", outcome: "order not found" };
+
+    const updated = transitionOrder(order.id, "disputed", {
+      actor: "stripe",
+      reason: obj.reason || event.type,
+      patch: {
+        dispute: {
+          id: obj.id,
+          reason: obj.reason || null,
+          amount: fromMinor(obj.amount || 0, obj.currency || "usd"),
+          currency: String(obj.currency || "usd").toUpperCase(),
+          createdAt: new Date().toISOString(),
+        },
+      },
+    });
+    await notifyOrderEvent(updated, "⚠️ Payment Disputed", [
+      `**Reason:** ${obj.reason || "-"}`,
+      `**Amount:** ${money(fromMinor(obj.amount || 0, obj.currency || "usd"), String(obj.currency || "usd").toUpperCase())}`,
+      "Respond to the dispute from the Stripe dashboard.",
+    ]);
+    return { status: "processed", outcome: "disputed" };
+  }
+
+  return { status: "ignored", outcome: `unhandled type ${event.type}` };
+}
+
+// Runs the handler for a stored event and records how it went
+async function runWebhookEvent(event) {
+  const data = JSON.parse(event.payload);
+  try {
+    const r =
+      event.provider === "stripe" ? await handleStripeEvent(data) : await handleCryptomusPayload(data);
+    return finishWebhookEvent(event.id, r.status, r.outcome);
+  } catch (e) {
+    console.log(`Webhook ${event.id} error:`, e);
+    return finishWebhookEvent(event.id, "failed", e.message);
+  }
+}
+
+app.post("/webhook/cryptomus", async (req, res) => {
+  try {
+    if (!isCryptomusWebhookTrusted(req, process.env)) return res.status(401).send("untrusted");
+
+    const payload = req.body || {};
+    const { event, duplicate } = recordWebhookEvent({
+      id: cryptomusEventId(payload),
+      provider: "cryptomus",
+      type: String(payload?.status || "").toLowerCase() || null,
+      orderId: baseOrderId(payload?.order_id),
+      payload: JSON.stringify(payload),
+    });
+    if (duplicate) return res.status(200).send("duplicate");
+
+    // A 5xx makes the provider retry; recordWebhookEvent lets failed events run again
+    const r = await runWebhookEvent(event);
+    return r.status === "failed" ? res.status(500).send("failed") : res.status(200).send("ok");
   } catch (e) {
     console.log("Cryptomus webhook error:", e);
-    return res.status(200).send("ok");
+    return res.status(500).send("error");
   }
 });
 
@@ -107,42 +754,27 @@ app.post("/webhook/stripe", async (req, res) => {
     const whSecret = process.env.STRIPE_WEBHOOK_SECRET;
 
     let event;
-    if (whSecret) {
-      event = stripe.webhooks.constructEvent(req.body, sig, whSecret);
-    } else {
-      event = JSON.parse(req.body.toString("utf8"));
-    }
-
-    if (event.type === "checkout.session.completed") {
-      const session = event.data.object;
-      const orderId = session?.metadata?.orderId;
-
-      if (orderId) {
-        const order = markPaid(orderId, {
-          method: "stripe",
-          provider: "stripe",
-          transactionId: session?.payment_intent || session?.id || null,
-          paidAmount: session?.amount_total
-            ? `$${(session.amount_total / 100).toFixed(2)}`
-            : null,
-        });
-
-        if (order) {
-          // Mark coupon usage ONCE after successful payment
-          if (order?.pricing?.coupon?.code && !order?.pricing?.couponUsedMarked) {
-            incrementCouponUse(order.pricing.coupon.code);
-            order.pricing.couponUsedMarked = true;
-            upsertOrder(order);
-          }
-          await notifyPaid(order);
-        }
-      }
+    try {
+      event = whSecret ? stripe.webhooks.constructEvent(req.body, sig, whSecret) : JSON.parse(req.body.toString("utf8"));
+    } catch (e) {
+      console.log("Stripe webhook rejected:", e.message);
+      return res.status(400).send("bad request");
     }
 
-    return res.status(200).send("ok");
+    const { event: stored, duplicate } = recordWebhookEvent({
+      id: `stripe:${event.id}`,
+      provider: "stripe",
+      type: event.type,
+      orderId: event.data?.object?.metadata?.orderId,
+      payload: req.body.toString("utf8"),
+    });
+    if (duplicate) return res.status(200).send("duplicate");
+
+    const r = await runWebhookEvent(stored);
+    return r.status === "failed" ? res.status(500).send("failed") : res.status(200).send("ok");
   } catch (e) {
     console.log("Stripe webhook error:", e);
-    return res.status(200).send("ok");
+    return res.status(500).send("error");
   }
 });
 
@@ -159,150 +791,890 @@ const client = new Client({
   partials: [Partials.Channel],
 });
 
-const money = (n) => `$${Number(n).toFixed(2)}`;
+// Base-currency amounts by default; pass a code for amounts already in another currency
+const money = (n, currency = baseCurrency()) => formatMoney(n, currency);
 
-/* -------- Transcript (Log channel #2) -------- */
-async function buildTranscriptText(channel) {
-  const lines = [];
-  lines.push("Ticket Transcript");
-  lines.push(`Channel: #${channel.name} (${channel.id})`);
-  lines.push(`Guild: ${channel.guild?.name} (${channel.guildId})`);
-  lines.push(`Closed at: ${new Date().toISOString()}`);
-  lines.push("----------------------------------------");
+// A base-currency amount shown in the currency the order is charged in
+const orderMoney = (order, baseAmount) => money(toOrderCurrency(order, baseAmount), orderCurrency(order));
 
-  let beforeId = null;
-  let fetched = 0;
+// What the payment provider charges, in the order's currency
+const chargeTotal = (order) => toOrderCurrency(order, order.pricing?.total ?? cartSubtotal(orderItems(order)));
 
-  while (true) {
-    const batch = await channel.messages.fetch({ limit: 100, before: beforeId }).catch(() => null);
-    if (!batch || batch.size === 0) break;
+// A base-currency amount converted for display
+const displayMoney = (baseAmount, currency) => money(convert(baseAmount, currency), currency);
 
-    const msgs = Array.from(batch.values()).sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+const ticketCurrency = (channel) =>
+  displayCurrency({ guildId: channel.guild?.id || channel.guildId, userId: ticketRecord(channel)?.userId });
 
-    for (const m of msgs) {
-      const time = new Date(m.createdTimestamp).toISOString();
-      const author = `${m.author?.tag || "unknown"} (${m.author?.id || "-"})`;
-      const content = (m.content || "").replace(/\n/g, "\\n");
-      lines.push(`[${time}] ${author}: ${content}`);
+// Website orders may have no Discord account attached
+const buyerMention = (order) => (order.userId ? `<@${order.userId}>` : "web buyer (no Discord ID)");
 
-      if (m.attachments?.size) {
-        for (const a of m.attachments.values()) {
-          lines.push(`  [attachment] ${a.url}`);
-        }
-      }
+const isStaff = (member, userId) =>
+  Boolean(
+    (process.env.OWNER_ID && userId === process.env.OWNER_ID) ||
+      (process.env.SUPPORT_ROLE_ID && member?.roles?.cache?.has(process.env.SUPPORT_ROLE_ID)) ||
+      member?.permissions?.has(PermissionFlagsBits.ManageChannels)
+  );
 
-      if (m.embeds?.length) {
-        lines.push(`  [embeds] ${m.embeds.length}`);
-      }
-    }
+// A ticket type's staffRoleId only counts inside tickets of that type
+const isStaffFor = (member, userId, typeKey) => {
+  const roleId = getTicketType(typeKey)?.staffRoleId;
+  return isStaff(member, userId) || Boolean(roleId && member?.roles?.cache?.has(roleId));
+};
 
-    fetched += batch.size;
-    beforeId = msgs[0]?.id;
+// fmt turns a base-currency amount into text (e.g. in the order's currency)
+const itemLines = (items, fmt = money) =>
+  items.map((it) => `${it.emoji ? `${it.emoji} ` : ""}${it.qty}× **${it.name}** — ${fmt(it.price * it.qty)}`);
 
-    // safety cap
-    if (fetched >= 2000) {
-      lines.push("(Transcript truncated at 2000 messages)");
-      break;
-    }
+const itemsSummary = (items) => items.map((it) => `${it.qty}× ${it.name}`).join(", ");
+
+/* -------- Transcript (Log channel #2) -------- */
+const emojiUrl = (e) => (e?.id ? `https://cdn.discordapp.com/emojis/${e.id}.${e.animated ? "gif" : "png"}` : null);
+
+// Plain data for renderTranscriptPage. inline: imageInliner() shared by the whole transcript.
+async function transcriptMessage(m, { byId, inline, channelId }) {
+  const member = m.member || m.guild?.members.cache.get(m.author?.id);
+  const ref = m.reference?.messageId && byId.get(m.reference.messageId);
+
+  return {
+    id: m.id,
+    at: new Date(m.createdTimestamp).toISOString(),
+    editedAt: m.editedTimestamp ? new Date(m.editedTimestamp).toISOString() : null,
+    author: {
+      id: m.author?.id || "-",
+      name: member?.displayName || m.author?.globalName || m.author?.username || "unknown",
+      tag: m.author?.tag || "unknown",
+      bot: Boolean(m.author?.bot),
+      color: member?.displayHexColor && member.displayHexColor !== "#000000" ? member.displayHexColor : null,
+      avatar: await inline(m.author?.displayAvatarURL({ extension: "png", size: 64 })),
+    },
+    content: m.content || "",
+    replyTo: ref ? { author: ref.author.name, content: ref.content } : null,
+    attachments: await Promise.all(
+      [...(m.attachments?.values() || [])].map((a) =>
+        keepAttachment({ id: a.id, name: a.name, url: a.url, size: a.size, contentType: a.contentType }, channelId)
+      )
+    ),
+    embeds: await Promise.all(
+      (m.embeds || []).map(async (e) => ({
+        color: e.color,
+        author: e.author ? { name: e.author.name, icon: await inline(e.author.iconURL) } : null,
+        title: e.title,
+        url: e.url,
+        description: e.description,
+        fields: e.fields || [],
+        image: await inline(e.image?.url),
+        thumbnail: await inline(e.thumbnail?.url),
+        footer: e.footer ? { text: e.footer.text } : null,
+        timestamp: e.timestamp,
+      }))
+    ),
+    components: (m.components || []).map((row) =>
+      (row.components || []).map((c) =>
+        c.type === ComponentType.Button
+          ? { type: "button", label: c.label, emoji: c.emoji?.id ? `:${c.emoji.name}:` : c.emoji?.name, style: c.style }
+          : { type: "select", placeholder: c.placeholder }
+      )
+    ),
+    reactions: await Promise.all(
+      [...(m.reactions?.cache.values() || [])].map(async (r) => ({
+        emoji: { name: r.emoji.name, src: await inline(emojiUrl(r.emoji)) },
+        count: r.count,
+      }))
+    ),
+  };
+}
+
+// Every message in the channel, oldest first
+async function buildTranscript(channel) {
+  const raw = [];
+  let beforeId = null;
+  while (true) {
+    const batch = await channel.messages.fetch({ limit: 100, before: beforeId }).catch(() => null);
+    if (!batch || batch.size === 0) break;
+    raw.push(...batch.values());
+    beforeId = batch.last().id;
+  }
+  raw.sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+
+  const inline = imageInliner();
+  const byId = new Map();
+  const lookup = { users: {}, roles: {}, channels: {} };
+  for (const m of raw) {
+    const msg = await transcriptMessage(m, { byId, inline, channelId: channel.id });
+    byId.set(m.id, msg);
+    lookup.users[msg.author.id] = msg.author.name;
+    for (const u of m.mentions?.users?.values() || []) lookup.users[u.id] ??= u.globalName || u.username;
+    for (const role of m.mentions?.roles?.values() || []) lookup.roles[role.id] = role.name;
+    for (const c of m.mentions?.channels?.values() || []) lookup.channels[c.id] = c.name;
   }
 
-  return lines.join("\n");
+  const messages = [...byId.values()];
+  const html = renderTranscriptPage({
+    storeName: STORE_NAME,
+    guildName: channel.guild?.name,
+    channel: { id: channel.id, name: channel.name },
+    ticket: getTicket(channel.id),
+    closedAt: new Date().toISOString(),
+    messages,
+    lookup,
+  });
+  return { html, messageCount: messages.length, attachmentCount: messages.reduce((n, m) => n + m.attachments.length, 0) };
 }
 
+// Saves the transcript under ./transcripts, links it to the ticket's orders and posts it to LOG_TRANSCRIPT_CHANNEL_ID.
+// Returns false when nothing could be saved.
 async function sendTranscriptToLog(channel) {
+  let saved;
+  try {
+    const { html, messageCount, attachmentCount } = await buildTranscript(channel);
+    const ticket = getTicket(channel.id);
+    saved = saveTranscript({
+      channelId: channel.id,
+      guildId: channel.guildId,
+      userId: ticket?.userId,
+      html,
+      messageCount,
+      attachmentCount,
+    });
+    for (const o of getOrdersByChannelId(channel.id)) {
+      logOrderAction(o.id, { actor: "system", action: "transcript saved", reason: `${messageCount} messages` });
+    }
+  } catch (e) {
+    console.log("Transcript error:", e);
+    return false;
+  }
+
   const logId = process.env.LOG_TRANSCRIPT_CHANNEL_ID;
-  if (!logId) return;
+  if (!logId) return true;
 
   const logCh = await client.channels.fetch(logId).catch(() => null);
-  if (!logCh) return;
-
-  const text = await buildTranscriptText(channel);
-  const filename = `transcript-${channel.id}.txt`;
+  if (!logCh) return true;
 
+  const content = `🧾 Transcript for <#${channel.id}> (#${channel.name}, ${saved.messageCount} messages)`;
   await logCh
-    .send({
-      content: `🧾 Transcript for <#${channel.id}>`,
-      files: [{ attachment: Buffer.from(text, "utf8"), name: filename }],
-    })
+    .send({ content, files: [{ attachment: saved.file, name: `transcript-${channel.id}.html` }] })
+    .catch(() => logCh.send(`${content}\n⚠️ Too large to upload — saved on the server as \`${saved.file}\`.`))
+    .catch(() => {});
+  return true;
+}
+
+// Closing a ticket ends here: the channel only goes once its transcript is safe
+async function archiveAndDeleteTicket(channel) {
+  if (await sendTranscriptToLog(channel)) {
+    setTimeout(() => channel.delete().catch(() => {}), 10_000);
+    return;
+  }
+  await channel
+    .send("⚠️ The transcript couldn't be saved, so this channel was kept. Delete it by hand once it's no longer needed.")
     .catch(() => {});
 }
 
 /* -------- Embeds / UI -------- */
-const panelEmbed = () =>
+const panelEmbed = (types) =>
   new EmbedBuilder()
     .setTitle(`${STORE_NAME} — Ticket Panel`)
     .setDescription(
       [
         "Open a ticket to order or get support.",
         "",
+        ...types.map((t) => `${t.emoji ? `${t.emoji} ` : ""}**${t.label}**${t.description ? ` — ${t.description}` : ""}`),
+        "",
         "✅ Fast delivery",
         "✅ Secure payments (Crypto/Stripe)",
         "✅ Invoice PDF after delivery",
       ].join("\n")
     )
-    .setFooter({ text: "Click Open Ticket" });
+    .setFooter({ text: types.length > 1 ? "Pick the kind of ticket you need" : "Click Open Ticket" });
+
+// One button per type (5 per row), or a single select menu; Discord allows 25 of either
+const panelRows = (types, style) => {
+  const shown = types.slice(0, 25);
+  if (style === "select") {
+    return [
+      new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId("open_ticket_select")
+          .setPlaceholder("Open a ticket…")
+          .addOptions(
+            shown.map((t) => ({ label: t.label, value: t.key, description: t.description || undefined, emoji: t.emoji || undefined }))
+          )
+      ),
+    ];
+  }
+
+  const rows = [];
+  shown.forEach((t, idx) => {
+    if (idx % 5 === 0) rows.push(new ActionRowBuilder());
+    const b = new ButtonBuilder()
+      .setCustomId(`open_ticket:${t.key}`)
+      .setLabel(types.length > 1 ? t.label : "Open Ticket")
+      .setStyle(t.key === PURCHASE_TYPE ? ButtonStyle.Primary : ButtonStyle.Secondary);
+    if (t.emoji) b.setEmoji(t.emoji);
+    rows[rows.length - 1].addComponents(b);
+  });
+  return rows;
+};
+
+// Optional intake questions, asked before the channel is created
+const intakeModal = (type) =>
+  new ModalBuilder()
+    .setCustomId(`ticket_intake:${type.key}`)
+    .setTitle(type.label.slice(0, 45))
+    .addComponents(
+      type.questions.map((q) => {
+        const input = new TextInputBuilder()
+          .setCustomId(q.id)
+          .setLabel(q.label)
+          .setStyle(q.style === "paragraph" ? TextInputStyle.Paragraph : TextInputStyle.Short)
+          .setRequired(q.required)
+          .setMaxLength(q.style === "paragraph" ? 1000 : 200);
+        if (q.placeholder) input.setPlaceholder(q.placeholder);
+        return new ActionRowBuilder().addComponents(input);
+      })
+    );
+
+// Claim while nobody owns the ticket; afterwards unclaim or hand it to someone else
+const staffRow = (ticket) =>
+  new ActionRowBuilder().addComponents(
+    ...(ticket?.assigneeId
+      ? [
+          new ButtonBuilder().setCustomId("ticket_unclaim").setLabel("Unclaim").setEmoji("↩️").setStyle(ButtonStyle.Secondary),
+          new ButtonBuilder().setCustomId("ticket_transfer").setLabel("Transfer").setEmoji("🔁").setStyle(ButtonStyle.Primary),
+        ]
+      : [new ButtonBuilder().setCustomId("ticket_claim").setLabel("Claim").setEmoji("🙋").setStyle(ButtonStyle.Success)])
+  );
+
+const staffControlText = (ticket) =>
+  ticket?.assigneeId ? `🙋 Assigned to <@${ticket.assigneeId}>.` : "Staff: claim this ticket to take it over.";
+
+const welcomeEmbed = (user, type = null) => {
+  if (!type || type.key === PURCHASE_TYPE) {
+    return new EmbedBuilder()
+      .setTitle("Welcome 👋")
+      .setDescription(`Hello ${user}!\n\nAdd products to your cart below and check out when ready. After payment you will get confirmation here.`);
+  }
+  return new EmbedBuilder()
+    .setTitle(`${type.emoji ? `${type.emoji} ` : ""}${type.label}`)
+    .setDescription(`Hello ${user}!\n\nTell us anything else we should know — staff will be with you shortly.`);
+};
 
-const welcomeEmbed = (user) =>
+// answers: [{ label, value }] from the intake modal
+const intakeEmbed = (answers) =>
   new EmbedBuilder()
-    .setTitle("Welcome 👋")
-    .setDescription(`Hello ${user}!\n\nChoose your product below. After payment you will get confirmation here.`);
+    .setTitle("📝 Details")
+    .addFields(answers.map((a) => ({ name: a.label, value: (a.value || "-").slice(0, 1024) })));
+
+const stockText = (p) => {
+  if (isSoldOut(p)) return " — **SOLD OUT**";
+  if (p.stock !== null && p.stock !== undefined) return ` — ${p.stock} left`;
+  return "";
+};
 
-const productsEmbed = () =>
+const productsEmbed = (currency = baseCurrency()) =>
   new EmbedBuilder()
     .setTitle("Products")
     .setDescription(
-      products
-        .map((p) => `${p.emoji} **${p.name}** — ${money(p.price)} _(ETA: ${p.delivery})_`)
-        .join("\n")
+      listProducts()
+        .map((p) => `${p.emoji || "•"} **${p.name}** — ${displayMoney(p.price, currency)} _(ETA: ${p.delivery || "-"})_${stockText(p)}`)
+        .join("\n") || "No products available right now."
     )
-    .setFooter({ text: "Select one product to continue." });
-
-const paymentMethodsEmbed = (prod, order) => {
-  const total = order?.pricing?.total ?? prod.price;
-  const disc =
-    order?.pricing?.discount
-      ? `\n**Discount:** -$${Number(order.pricing.discount).toFixed(2)} (${order.pricing.coupon?.code})`
-      : "";
-  return new EmbedBuilder()
-    .setTitle("Choose Payment Method")
-    .setDescription(`**Product:** ${prod.name}\n**Total:** ${money(total)}${disc}\n\nSelect one option:`);
-};
-
-const paymentInstructionsEmbed = (method, order) => {
-  const total = order?.pricing?.total ?? order.product.price;
+    .setFooter({ text: "Click a product to add it to your cart." });
 
-  const lines = [
-    `**Order ID:** \`${order.id}\``,
-    `**Product:** ${order.product.name}`,
-    `**Total:** ${money(total)}`,
-    order?.pricing?.coupon?.code ? `**Coupon:** \`${order.pricing.coupon.code}\`` : "",
-    "",
-  ].filter(Boolean);
+// Discord allows 5 rows of 5 buttons, so only the first 25 products get one
+const productRows = (currency = baseCurrency()) => {
+  const rows = [];
+  let row = new ActionRowBuilder();
+  let count = 0;
 
-  if (method === "crypto") {
-    lines.push("**Crypto (Cryptomus)**");
-    lines.push("1) Click **Pay Now**");
-    lines.push("2) Complete payment");
-    lines.push("3) Wait for confirmation here");
-  } else {
-    lines.push("**Stripe (Card)**");
-    lines.push("1) Click **Pay Now**");
-    lines.push("2) Complete checkout");
-    lines.push("3) Wait for confirmation here");
+  for (const p of listProducts().slice(0, 25)) {
+    if (count === 5) {
+      rows.push(row);
+      row = new ActionRowBuilder();
+      count = 0;
+    }
+    const btn = new ButtonBuilder()
+      .setCustomId(`choose_prod:${p.id}`)
+      .setLabel(`${p.name} (${isSoldOut(p) ? "sold out" : displayMoney(p.price, currency)})`.slice(0, 80))
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(isSoldOut(p));
+    if (p.emoji) btn.setEmoji(p.emoji);
+    row.addComponents(btn);
+    count++;
   }
+  if (count) rows.push(row);
 
-  return new EmbedBuilder().setTitle("Payment").setDescription(lines.join("\n"));
+  return rows;
 };
 
-const couponRow = () =>
-  new ActionRowBuilder().addComponents(
-    new ButtonBuilder()
-      .setCustomId("open_coupon")
-      .setLabel("Use Coupon")
+const cartEmbed = (cart, pendingCode, currency = baseCurrency()) => {
+  const items = cart.items || [];
+  const fmt = (n) => displayMoney(n, currency);
+  const lines = items.length ? itemLines(items, fmt) : ["_Your cart is empty._"];
+  if (items.length) {
+    lines.push("", `**Subtotal:** ${fmt(cartSubtotal(items))}`);
+    if (pendingCode) lines.push(`**Coupon:** \`${pendingCode}\` (applied at checkout)`);
+  }
+  return new EmbedBuilder()
+    .setTitle("🛒 Your Cart")
+    .setDescription(lines.join("\n"))
+    .setFooter({ text: "Click products to add more, edit quantities below, then check out." });
+};
+
+const cartRows = (cart) => {
+  const items = cart.items || [];
+  const rows = [];
+
+  if (items.length) {
+    rows.push(
+      new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId("cart_edit")
+          .setPlaceholder("Change quantity / remove an item…")
+          .addOptions(
+            items.map((it) => ({
+              label: `${it.name} (x${it.qty})`,
+              value: it.id,
+              emoji: it.emoji || undefined,
+            }))
+          )
+      )
+    );
+  }
+
+  rows.push(
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId("cart_checkout")
+        .setLabel("Checkout")
+        .setEmoji("✅")
+        .setStyle(ButtonStyle.Success)
+        .setDisabled(!items.length),
+      new ButtonBuilder()
+        .setCustomId("cart_clear")
+        .setLabel("Clear Cart")
+        .setEmoji("🗑️")
+        .setStyle(ButtonStyle.Danger)
+        .setDisabled(!items.length)
+    )
+  );
+
+  return rows;
+};
+
+// Edit the ticket's cart message in place; post a new one if it is gone
+async function refreshCartMessage(channel) {
+  const cart = getCart(channel.id);
+  const payload = {
+    embeds: [cartEmbed(cart, getPendingCoupon(channel.id)?.code, ticketCurrency(channel))],
+    components: cartRows(cart),
+  };
+
+  if (cart.messageId) {
+    const msg = await channel.messages.fetch(cart.messageId).catch(() => null);
+    if (msg) {
+      await msg.edit(payload).catch(() => {});
+      return;
+    }
+  }
+
+  if (!cart.items.length) return;
+  const msg = await channel.send(payload);
+  setCartMessage(channel.id, msg.id);
+}
+
+const paymentMethodsEmbed = (order) => {
+  const items = orderItems(order);
+  const fmt = (n) => orderMoney(order, n);
+  const lines = [...itemLines(items, fmt), ""];
+  if (order?.pricing?.discount || order?.pricing?.wallet || order?.pricing?.tax?.amount) {
+    lines.push(`**Subtotal:** ${fmt(order.pricing.original)}`);
+  }
+  if (order?.pricing?.discount) {
+    lines.push(`**Discount:** -${fmt(order.pricing.discount)} (${order.pricing.coupon?.code})`);
+  }
+  if (taxLine(order, fmt)) lines.push(taxLine(order, fmt));
+  if (order?.pricing?.wallet) lines.push(`**Store credit:** -${fmt(order.pricing.wallet)}`);
+  lines.push(`**Total:** ${money(chargeTotal(order), orderCurrency(order))}`, "", "Select one option:");
+  return new EmbedBuilder().setTitle("Choose Payment Method").setDescription(lines.join("\n"));
+};
+
+const paymentInstructionsEmbed = (method, order) => {
+  const items = orderItems(order);
+
+  const lines = [
+    `**Order ID:** \`${order.id}\``,
+    ...itemLines(items, (n) => orderMoney(order, n)),
+    taxLine(order, (n) => orderMoney(order, n)),
+    `**Total:** ${money(chargeTotal(order), orderCurrency(order))}`,
+    order?.pricing?.coupon?.code ? `**Coupon:** \`${order.pricing.coupon.code}\`` : "",
+    "",
+  ].filter(Boolean);
+
+  if (method === "crypto") {
+    lines.push("**Crypto (Cryptomus)**");
+    lines.push("1) Click **Pay Now**");
+    lines.push("2) Complete payment");
+    lines.push("3) Wait for confirmation here");
+  } else {
+    lines.push("**Stripe (Card)**");
+    lines.push("1) Click **Pay Now**");
+    lines.push("2) Complete checkout");
+    lines.push("3) Wait for confirmation here");
+  }
+
+  return new EmbedBuilder().setTitle("Payment").setDescription(lines.join("\n"));
+};
+
+const couponRow = () =>
+  new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId("open_coupon")
+      .setLabel("Use Coupon")
       .setEmoji("🏷️")
       .setStyle(ButtonStyle.Secondary)
   );
 
+// Pre-filled with the buyer's last billing details
+const billingModal = (profile) => {
+  const input = (id, label, value, required) => {
+    const t = new TextInputBuilder().setCustomId(id).setLabel(label).setStyle(TextInputStyle.Short).setRequired(required);
+    if (value) t.setValue(value);
+    return new ActionRowBuilder().addComponents(t);
+  };
+
+  return new ModalBuilder()
+    .setCustomId("billing_modal")
+    .setTitle("Billing details")
+    .addComponents(
+      input("billing_country", "Country (2-letter code, e.g. DE, US)", profile?.country, true),
+      input("billing_vat", "VAT ID (businesses only, optional)", profile?.vatId, false),
+      input("billing_name", "Name or company (optional)", profile?.name, false)
+    );
+};
+
+// "VAT 19%: €3.80", "VAT: reverse charge", or "" when the order has no tax
+const taxLine = (order, fmt) => {
+  const tax = order?.pricing?.tax;
+  if (tax?.reverseCharge) return `**VAT:** reverse charge (${order.billing?.vatId})`;
+  if (tax?.amount) return `**VAT ${tax.rate}% (${tax.country}):** ${fmt(tax.amount)}`;
+  return "";
+};
+
+/* -------- /product helpers -------- */
+const productIdOption = {
+  type: ApplicationCommandOptionType.String,
+  name: "id",
+  description: "Product ID (e.g. p1)",
+  required: true,
+};
+
+const catalogLine = (p, idx) =>
+  `${idx + 1}. \`${p.id}\` ${p.emoji || "•"} **${p.name}** — ${money(p.price)}${stockText(p)}${p.archived ? " — _archived_" : ""}`;
+
+/* -------- /coupon helpers -------- */
+const COUPON_HOLD_MINUTES = Number(process.env.COUPON_HOLD_MINUTES || 30);
+
+const couponRuleOptions = [
+  { type: ApplicationCommandOptionType.String, name: "starts", description: "Valid from (YYYY-MM-DD, - to clear)", required: false },
+  { type: ApplicationCommandOptionType.String, name: "ends", description: "Valid until, inclusive (YYYY-MM-DD, - to clear)", required: false },
+  { type: ApplicationCommandOptionType.String, name: "products", description: "Only these product IDs, comma separated (- to clear)", required: false },
+  { type: ApplicationCommandOptionType.String, name: "exclude", description: "Never these product IDs, comma separated (- to clear)", required: false },
+  { type: ApplicationCommandOptionType.Number, name: "min-total", description: `Minimum order total in ${baseCurrency()} (0 = none)`, required: false },
+  { type: ApplicationCommandOptionType.Integer, name: "per-user", description: "Uses per customer (0 = unlimited)", required: false },
+  { type: ApplicationCommandOptionType.Boolean, name: "first-order", description: "Only for a customer's first paid order", required: false },
+  { type: ApplicationCommandOptionType.Role, name: "role", description: "Only for members with this role", required: false },
+];
+
+// Options that weren't given stay undefined, so /coupon edit leaves those rules alone
+const couponRuleInput = (opts) => ({
+  startsOn: opts.getString("starts")?.trim() ?? undefined,
+  endsOn: opts.getString("ends")?.trim() ?? undefined,
+  productIds: opts.getString("products") ?? undefined,
+  excludedProductIds: opts.getString("exclude") ?? undefined,
+  minTotal: opts.getNumber("min-total") ?? undefined,
+  perUserLimit: opts.getInteger("per-user") ?? undefined,
+  firstOrderOnly: opts.getBoolean("first-order") ?? undefined,
+  roleId: opts.getRole("role")?.id ?? undefined,
+});
+
+const couponRulesText = (c) =>
+  [
+    c.startsAt ? `from ${c.startsAt.slice(0, 10)}` : "",
+    c.endsAt ? `until ${new Date(Date.parse(c.endsAt) - 1).toISOString().slice(0, 10)}` : "",
+    c.productIds.length ? `only ${c.productIds.join(", ")}` : "",
+    c.excludedProductIds.length ? `not ${c.excludedProductIds.join(", ")}` : "",
+    Number(c.minTotal) > 0 ? `min ${money(c.minTotal)}` : "",
+    c.perUserLimit > 0 ? `${c.perUserLimit}/user` : "",
+    c.firstOrderOnly ? "first order only" : "",
+    c.roleId ? `<@&${c.roleId}> only` : "",
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+const couponSummary = (c) => {
+  const typeText = c.type === "percent" ? `${c.value}%` : money(c.value);
+  const usesText = `${c.uses} confirmed + ${c.reserved || 0} reserved / ${Number(c.maxUses || 0) > 0 ? c.maxUses : "∞"}`;
+  const rules = couponRulesText(c);
+  return `**${c.code}** — ${c.type} (${typeText}) — uses: ${usesText} — ${c.active === false ? "inactive" : "active"}${
+    rules ? `\n  ↳ ${rules}` : ""
+  }`;
+};
+
+/* -------- /currency helpers -------- */
+const currencyCodeOption = {
+  type: ApplicationCommandOptionType.String,
+  name: "code",
+  description: "Currency code like EUR, or \"default\"",
+  required: true,
+};
+
+const ratesEmbed = () => {
+  const r = getRates();
+  return new EmbedBuilder()
+    .setTitle(`Exchange Rates (1 ${r.base})`)
+    .setDescription(
+      Object.entries(r.rates)
+        .map(([code, rate]) => `\`${code}\` — ${Number(rate).toFixed(4)}`)
+        .join("\n")
+        .slice(0, 4000)
+    )
+    .setFooter({ text: r.updatedAt ? `Updated ${r.updatedAt}` : "No rates file loaded" });
+};
+
+/* -------- /wallet helpers -------- */
+const walletAdjustOptions = [
+  { type: ApplicationCommandOptionType.User, name: "user", description: "Customer", required: true },
+  { type: ApplicationCommandOptionType.Number, name: "amount", description: `Amount in ${baseCurrency()}`, required: true, min_value: 0.01 },
+  { type: ApplicationCommandOptionType.String, name: "reason", description: "Why (shown to the customer)", required: true },
+];
+
+const walletLine = (t) =>
+  `• ${t.createdAt.slice(0, 10)} — ${t.amount > 0 ? "+" : "-"}${money(Math.abs(t.amount))} — ${t.reason}${
+    t.orderId ? ` (\`${t.orderId.slice(0, 8)}\`)` : ""
+  }`;
+
+/* -------- /order helpers -------- */
+const orderIdOption = {
+  type: ApplicationCommandOptionType.String,
+  name: "id",
+  description: "Order ID (or its first 8 characters)",
+  required: true,
+};
+
+const reasonOption = {
+  type: ApplicationCommandOptionType.String,
+  name: "reason",
+  description: "Reason (saved in the order history)",
+  required: false,
+};
+
+const ORDER_PAGE_SIZE = 10;
+
+const findOrder = (input) => getOrderById(String(input || "").trim()) || findOrderByIdPrefix(input);
+
+// Owner / admins only; support staff can view, search, note and resend invoices
+const isOwnerOrAdmin = (member, userId) =>
+  Boolean(
+    (process.env.OWNER_ID && userId === process.env.OWNER_ID) ||
+      member?.permissions?.has(PermissionFlagsBits.Administrator)
+  );
+
+const historyLine = (h) =>
+  `${h.at.slice(0, 16).replace("T", " ")} — ${h.action ? h.action : `${h.from || "∅"} → **${h.to}**`} — ${h.actor}${
+    h.reason ? ` (${h.reason})` : ""
+  }`;
+
+const orderViewEmbed = (order) => {
+  const items = orderItems(order);
+  const total = order.pricing?.total ?? cartSubtotal(items);
+  const history = order.history || [];
+
+  const embed = new EmbedBuilder()
+    .setTitle(`Order ${order.id.slice(0, 8).toUpperCase()}`)
+    .setDescription(
+      [
+        `**Order ID:** \`${order.id}\``,
+        `**Status:** ${order.status}`,
+        `**Buyer:** ${buyerMention(order)} (${order.userTag || "-"})`,
+        order.billing ? `**Billing:** ${[order.billing.name, order.billing.country, order.billing.vatId].filter(Boolean).join(" — ")}` : "",
+        order.channelId ? `**Ticket:** <#${order.channelId}>` : "",
+        `**Created:** ${order.createdAt || "-"}`,
+        order.paidAt ? `**Paid:** ${order.paidAt}` : "",
+        "",
+        ...itemLines(items),
+        order.pricing?.discount ? `**Discount:** -${money(order.pricing.discount)} (${order.pricing.coupon?.code})` : "",
+        taxLine(order, (n) => money(n)),
+        order.pricing?.wallet ? `**Store credit:** -${money(order.pricing.wallet)}` : "",
+        `**Total:** ${money(total)}`,
+        orderCurrency(order) !== baseCurrency()
+          ? `**Charged in:** ${orderCurrency(order)} — ${money(chargeTotal(order), orderCurrency(order))} (rate ${order.currency.rate})`
+          : "",
+        `**Payment:** ${order.payment?.method || "-"} — ref \`${order.payment?.transactionId || "-"}\``,
+        order.refund ? `**Refunded:** ${money(order.refund.amount, orderCurrency(order))}` : "",
+      ]
+        .filter((l) => l !== "")
+        .join("\n")
+        .slice(0, 4000)
+    );
+
+  if (order.notes?.length) {
+    embed.addFields({
+      name: "Notes",
+      value: order.notes
+        .slice(-5)
+        .map((n) => `• ${n.text} — <@${n.by}>`)
+        .join("\n")
+        .slice(0, 1024),
+    });
+  }
+
+  if (history.length) {
+    embed.addFields({
+      name: `History (${history.length})`,
+      value: history.slice(-10).map(historyLine).join("\n").slice(0, 1024),
+    });
+  }
+
+  return embed;
+};
+
+// Search filters ride along in the pagination button IDs (max 100 chars), so pages survive restarts
+const encodeOrderFilters = (f) =>
+  [f.userId || "", f.status || "", f.productId || "", f.fromDay || "", f.toDay || ""].join("|");
+
+const decodeOrderFilters = (str) => {
+  const [userId, status, productId, fromDay, toDay] = String(str || "").split("|");
+  return { userId, status, productId, fromDay, toDay };
+};
+
+function orderSearchPage(filters, page) {
+  const { fromDay, toDay, ...rest } = filters;
+  const to = toDay ? new Date(new Date(`${toDay}T00:00:00Z`).getTime() + 86_400_000).toISOString() : null;
+  const { total, orders } = searchOrders(
+    { ...rest, from: fromDay ? `${fromDay}T00:00:00.000Z` : null, to },
+    { limit: ORDER_PAGE_SIZE, offset: page * ORDER_PAGE_SIZE }
+  );
+  const pages = Math.max(1, Math.ceil(total / ORDER_PAGE_SIZE));
+
+  const lines = orders.map((o) => {
+    const amount = o.pricing?.total ?? cartSubtotal(orderItems(o));
+    return `• \`${o.id.slice(0, 8)}\` — **${o.status}** — ${money(amount)} — <@${o.userId}> — ${(o.createdAt || "").slice(0, 10)}`;
+  });
+
+  const embed = new EmbedBuilder()
+    .setTitle(`Orders — ${total} found`)
+    .setDescription(lines.join("\n") || "No orders match.")
+    .setFooter({ text: `Page ${page + 1}/${pages} · /order view <id> for details` });
+
+  const key = encodeOrderFilters(filters);
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`order_page:${page - 1}:${key}`)
+      .setLabel("Prev")
+      .setEmoji("◀️")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page <= 0),
+    new ButtonBuilder()
+      .setCustomId(`order_page:${page + 1}:${key}`)
+      .setLabel("Next")
+      .setEmoji("▶️")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page + 1 >= pages)
+  );
+
+  return { embeds: [embed], components: [row] };
+}
+
+/* -------- Ticket helpers -------- */
+// guild:user:type keys with a channel being created, so a double click can't get past the limit
+const openingTickets = new Set();
+
+// Creates the channel for a ticket type. answers: [{ label, value }] from the intake modal.
+async function openTicketChannel(i, type, answers = []) {
+  const open = openTicketsFor(i.user.id, { guildId: i.guildId, type: type.key });
+  if (type.limit && open.length >= type.limit) {
+    return i.reply({
+      content: `⚠️ You already have ${open.length > 1 ? `${open.length} open ${type.label} tickets` : "a ticket"}: ${open
+        .map((t) => `<#${t.channelId}>`)
+        .join(", ")}`,
+      ephemeral: true,
+    });
+  }
+
+  const lockKey = `${i.guildId}:${i.user.id}:${type.key}`;
+  if (openingTickets.has(lockKey)) return i.reply({ content: "⚠️ Your ticket is already being created.", ephemeral: true });
+  openingTickets.add(lockKey);
+  try {
+    await createTicketChannel(i, type, answers);
+  } finally {
+    openingTickets.delete(lockKey);
+  }
+}
+
+async function createTicketChannel(i, type, answers) {
+  const overwrites = [
+    { id: i.guild.roles.everyone.id, deny: [PermissionFlagsBits.ViewChannel] },
+    {
+      id: i.user.id,
+      allow: [
+        PermissionFlagsBits.ViewChannel,
+        PermissionFlagsBits.SendMessages,
+        PermissionFlagsBits.ReadMessageHistory,
+      ],
+    },
+  ];
+
+  const staffRoleId = type.staffRoleId || process.env.SUPPORT_ROLE_ID;
+  if (staffRoleId) {
+    overwrites.push({
+      id: staffRoleId,
+      allow: [
+        PermissionFlagsBits.ViewChannel,
+        PermissionFlagsBits.SendMessages,
+        PermissionFlagsBits.ReadMessageHistory,
+      ],
+    });
+  }
+
+  if (process.env.OWNER_ID) {
+    overwrites.push({
+      id: process.env.OWNER_ID,
+      allow: [
+        PermissionFlagsBits.ViewChannel,
+        PermissionFlagsBits.SendMessages,
+        PermissionFlagsBits.ReadMessageHistory,
+        PermissionFlagsBits.ManageChannels,
+      ],
+    });
+  }
+
+  const ticket = await i.guild.channels.create({
+    name: ticketChannelName(type, i.user),
+    type: ChannelType.GuildText,
+    parent: type.categoryId || process.env.TICKET_CATEGORY_ID || null,
+    permissionOverwrites: overwrites,
+  });
+  // Recorded straight away so it counts toward the limit even if a message below fails
+  openTicket({ channelId: ticket.id, guildId: i.guildId, userId: i.user.id, type: type.key });
+
+  // 1) Welcome (+ intake answers) + staff claim controls
+  await ticket.send({ embeds: [welcomeEmbed(i.user, type), ...(answers.length ? [intakeEmbed(answers)] : [])] });
+  const control = await ticket.send({
+    content: `${staffRoleId && type.key !== PURCHASE_TYPE ? `<@&${staffRoleId}> ` : ""}${staffControlText(null)}`,
+    components: [staffRow(null)],
+  });
+  setControlMessage(ticket.id, control.id);
+
+  if (type.key === PURCHASE_TYPE) {
+    // 2) Products buttons
+    const currency = displayCurrency({ guildId: i.guildId, userId: i.user.id });
+    await ticket.send({ embeds: [productsEmbed(currency)], components: productRows(currency) });
+
+    // 3) ✅ Coupon message ONCE only (after welcome + products)
+    await ticket.send({ content: "Have a discount code? Apply it here:", components: [couponRow()] });
+  }
+
+  await i.reply({ content: `✅ Ticket created: <#${ticket.id}>`, ephemeral: true });
+}
+
+// Tickets opened before tracking have no record yet; adopt only ticket-<userId> channels (not e.g. ticket-logs)
+const LEGACY_TICKET_NAME = /^ticket-(\d{17,20})$/;
+
+const ticketRecord = (channel) => {
+  const existing = getTicket(channel.id);
+  if (existing) return existing;
+  const legacy = LEGACY_TICKET_NAME.exec(channel.name || "");
+  return legacy
+    ? openTicket({
+        channelId: channel.id,
+        guildId: channel.guild?.id,
+        userId: legacy[1],
+        openedAt: channel.createdAt?.toISOString(),
+      })
+    : null;
+};
+
+// Not awaited by callers: Discord allows only two topic edits per channel every 10 minutes
+function tagTicketChannel(channel, ticket) {
+  channel.setTopic(ticket?.assigneeId ? `Assigned to <@${ticket.assigneeId}>` : "Unassigned").catch(() => {});
+}
+
+/* -------- /staff helpers -------- */
+const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return "-";
+  const m = Math.round(ms / 60_000);
+  if (m < 60) return `${m}m`;
+  if (m < 1440) return `${Math.floor(m / 60)}h ${m % 60}m`;
+  return `${Math.floor(m / 1440)}d ${Math.floor((m % 1440) / 60)}h`;
+};
+
+function staffLeaderboardEmbed(days) {
+  const since = days ? new Date(Date.now() - days * 86_400_000).toISOString() : null;
+  const rows = staffLeaderboard({ since });
+  const medals = ["🥇", "🥈", "🥉"];
+
+  return new EmbedBuilder()
+    .setTitle(`👥 Staff Leaderboard — ${days ? `last ${days} days` : "all time"}`)
+    .setDescription(
+      rows
+        .slice(0, 20)
+        .map(
+          (r, idx) =>
+            `${medals[idx] || `**${idx + 1}.**`} <@${r.staffId}> — ${r.delivered} delivered · ${r.open} open · avg ${formatDuration(r.avgDeliveryMs)} to deliver`
+        )
+        .join("\n") || "No claimed tickets yet."
+    )
+    .setFooter({ text: "Open = claimed tickets still open · delivery time = paid → delivered" });
+}
+
+/* -------- /myorders helpers -------- */
+function myOrdersReply(user) {
+  const { total, orders } = searchOrders({ userId: user.id }, { limit: 10 });
+
+  const lines = orders.map((o) => {
+    const items = orderItems(o).map((it) => `${it.qty}× ${it.name}`).join(", ");
+    return `• \`${o.id.slice(0, 8)}\` — **${o.status}** — ${money(chargeTotal(o), orderCurrency(o))} — ${(o.createdAt || "").slice(0, 10)}\n  ${items}`;
+  });
+
+  const embed = new EmbedBuilder()
+    .setTitle("🧾 Your Orders")
+    .setDescription((lines.join("\n") || "You have no orders yet.").slice(0, 4000))
+    .setFooter({ text: total > orders.length ? `Latest ${orders.length} of ${total}` : `${total} order(s)` });
+
+  const components = [];
+  const paid = orders.filter((o) => o.paidAt);
+  if (paid.length) {
+    components.push(
+      new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId("myorders_invoice")
+          .setPlaceholder("Download an invoice")
+          .addOptions(
+            paid.map((o) => ({
+              label: `${o.id.slice(0, 8).toUpperCase()} — ${money(chargeTotal(o), orderCurrency(o))}`.slice(0, 100),
+              description: orderItems(o).map((it) => it.name).join(", ").slice(0, 100) || undefined,
+              value: o.id,
+            }))
+          )
+      )
+    );
+  }
+
+  // No link when PUBLIC_BASE_URL or LINK_SECRET isn't configured
+  let url = null;
+  try {
+    url = signedUrl(`/receipts/${user.id}`, "receipts", user.id, { days: RECEIPT_LINK_DAYS });
+  } catch {}
+  if (url) {
+    components.push(
+      new ActionRowBuilder().addComponents(new ButtonBuilder().setLabel("View receipts online").setStyle(ButtonStyle.Link).setURL(url))
+    );
+  }
+
+  return { embeds: [embed], components };
+}
+
 /* -------- Register commands -------- */
 client.once(Events.ClientReady, async () => {
   console.log(`Logged in as ${client.user.tag}`);
@@ -315,6 +1687,24 @@ client.once(Events.ClientReady, async () => {
         name: "panel",
         description: "Send ticket panel to this channel",
         default_member_permissions: String(PermissionFlagsBits.Administrator),
+        options: [
+          {
+            type: ApplicationCommandOptionType.String,
+            name: "types",
+            description: "Ticket types to offer, comma-separated (default: all from tickets.json)",
+            required: false,
+          },
+          {
+            type: ApplicationCommandOptionType.String,
+            name: "style",
+            description: "Buttons or a select menu (default: buttons)",
+            required: false,
+            choices: [
+              { name: "Buttons", value: "buttons" },
+              { name: "Select menu", value: "select" },
+            ],
+          },
+        ],
       },
       {
         name: "coupon",
@@ -354,6 +1744,54 @@ client.once(Events.ClientReady, async () => {
                 description: "0 = unlimited",
                 required: false,
               },
+              ...couponRuleOptions,
+            ],
+          },
+          {
+            type: ApplicationCommandOptionType.Subcommand,
+            name: "generate",
+            description: "Create many random codes with the same rules (CSV export)",
+            options: [
+              {
+                type: ApplicationCommandOptionType.Integer,
+                name: "count",
+                description: "How many codes (1-500)",
+                required: true,
+                min_value: 1,
+                max_value: 500,
+              },
+              {
+                type: ApplicationCommandOptionType.String,
+                name: "type",
+                description: "fixed or percent",
+                required: true,
+                choices: [
+                  { name: "fixed", value: "fixed" },
+                  { name: "percent", value: "percent" },
+                ],
+              },
+              { type: ApplicationCommandOptionType.Number, name: "value", description: "Discount value", required: true },
+              { type: ApplicationCommandOptionType.String, name: "prefix", description: "Code prefix, e.g. GIVEAWAY", required: false },
+              { type: ApplicationCommandOptionType.Integer, name: "maxuses", description: "Uses per code (default 1, 0 = unlimited)", required: false },
+              ...couponRuleOptions,
+            ],
+          },
+          {
+            type: ApplicationCommandOptionType.Subcommand,
+            name: "edit",
+            description: "Change a coupon's value, limits or rules",
+            options: [
+              {
+                type: ApplicationCommandOptionType.String,
+                name: "code",
+                description: "Coupon code",
+                required: true,
+              },
+              { type: ApplicationCommandOptionType.Number, name: "value", description: "Discount value", required: false },
+              { type: ApplicationCommandOptionType.Integer, name: "maxuses", description: "0 = unlimited", required: false },
+              { type: ApplicationCommandOptionType.Boolean, name: "active", description: "Enable or disable", required: false },
+              ...couponRuleOptions,
+              { type: ApplicationCommandOptionType.Boolean, name: "no-role", description: "Remove the role restriction", required: false },
             ],
           },
           {
@@ -376,367 +1814,1822 @@ client.once(Events.ClientReady, async () => {
           },
         ],
       },
-    ];
-
-    for (const [, g] of guilds) {
-      const guild = await client.guilds.fetch(g.id);
-      await guild.commands.set(commands);
-    }
-
-    console.log("Commands registered.");
-  } catch (e) {
-    console.log("Command registration error:", e);
-  }
-});
-
-/* -------- Slash command handlers -------- */
-client.on(Events.InteractionCreate, async (interaction) => {
-  if (!interaction.isChatInputCommand()) return;
-
-  if (interaction.commandName === "panel") {
-    const row = new ActionRowBuilder().addComponents(
-      new ButtonBuilder()
-        .setCustomId("open_ticket")
-        .setLabel("Open Ticket")
-        .setEmoji("🎫")
-        .setStyle(ButtonStyle.Primary)
-    );
-
-    await interaction.channel.send({ embeds: [panelEmbed()], components: [row] });
-    await interaction.reply({ content: "✅ Panel sent.", ephemeral: true });
-    return;
-  }
-
-  if (interaction.commandName === "coupon") {
-    const sub = interaction.options.getSubcommand();
-
-    if (sub === "add") {
-      try {
-        const code = interaction.options.getString("code", true);
-        const type = interaction.options.getString("type", true);
-        const value = interaction.options.getNumber("value", true);
-        const maxUses = interaction.options.getInteger("maxuses") ?? 0;
-
-        const c = addCoupon({ code, type, value, maxUses });
-        await interaction.reply({
-          content: `✅ Added coupon **${c.code}** (${c.type} - ${
-            c.type === "percent" ? `${c.value}%` : `$${c.value}`
-          }, maxUses: ${c.maxUses || "unlimited"})`,
-          ephemeral: true,
-        });
-      } catch (e) {
-        await interaction.reply({ content: `❌ ${e.message}`, ephemeral: true });
-      }
-      return;
-    }
-
-    if (sub === "delete") {
-      const code = interaction.options.getString("code", true);
+      {
+        name: "order",
+        description: "Find and manage orders (staff)",
+        options: [
+          {
+            type: ApplicationCommandOptionType.Subcommand,
+            name: "view",
+            description: "Show an order with its history",
+            options: [orderIdOption],
+          },
+          {
+            type: ApplicationCommandOptionType.Subcommand,
+            name: "search",
+            description: "Search orders",
+            options: [
+              {
+                type: ApplicationCommandOptionType.User,
+                name: "user",
+                description: "Buyer",
+                required: false,
+              },
+              {
+                type: ApplicationCommandOptionType.String,
+                name: "status",
+                description: "Order status",
+                required: false,
+                choices: ORDER_STATUSES.map((s) => ({ name: s, value: s })),
+              },
+              {
+                type: ApplicationCommandOptionType.String,
+                name: "product",
+                description: "Product ID (e.g. p2)",
+                required: false,
+              },
+              {
+                type: ApplicationCommandOptionType.String,
+                name: "from",
+                description: "Created on/after (YYYY-MM-DD)",
+                required: false,
+              },
+              {
+                type: ApplicationCommandOptionType.String,
+                name: "to",
+                description: "Created on/before (YYYY-MM-DD)",
+                required: false,
+              },
+            ],
+          },
+          {
+            type: ApplicationCommandOptionType.Subcommand,
+            name: "mark-paid",
+            description: "Mark an order paid (manual / offline payment)",
+            options: [
+              orderIdOption,
+              {
+                type: ApplicationCommandOptionType.String,
+                name: "reference",
+                description: "Payment reference (bank ref, tx hash …)",
+                required: true,
+              },
+            ],
+          },
+          {
+            type: ApplicationCommandOptionType.Subcommand,
+            name: "cancel",
+            description: "Cancel an unpaid order",
+            options: [orderIdOption, reasonOption],
+          },
+          {
+            type: ApplicationCommandOptionType.Subcommand,
+            name: "refund",
+            description: "Refund an order (Stripe orders are refunded through Stripe)",
+            options: [
+              orderIdOption,
+              {
+                type: ApplicationCommandOptionType.Number,
+                name: "amount",
+                description: "Amount in the order's currency (empty = the rest of the order)",
+                required: false,
+              },
+              reasonOption,
+            ],
+          },
+          {
+            type: ApplicationCommandOptionType.Subcommand,
+            name: "resend-invoice",
+            description: "Send the invoice PDF to the buyer again",
+            options: [orderIdOption],
+          },
+          {
+            type: ApplicationCommandOptionType.Subcommand,
+            name: "transcript",
+            description: "Get the saved transcript of the order's ticket",
+            options: [orderIdOption],
+          },
+          {
+            type: ApplicationCommandOptionType.Subcommand,
+            name: "note",
+            description: "Add an internal note to an order",
+            options: [
+              orderIdOption,
+              {
+                type: ApplicationCommandOptionType.String,
+                name: "text",
+                description: "Note",
+                required: true,
+              },
+            ],
+          },
+        ],
+      },
+      {
+        name: "product",
+        description: "Manage the product catalog",
+        default_member_permissions: String(PermissionFlagsBits.Administrator),
+        options: [
+          {
+            type: ApplicationCommandOptionType.Subcommand,
+            name: "add",
+            description: "Add a product",
+            options: [
+              productIdOption,
+              { type: ApplicationCommandOptionType.String, name: "name", description: "Name", required: true },
+              { type: ApplicationCommandOptionType.Number, name: "price", description: `Price (${baseCurrency()})`, required: true },
+              { type: ApplicationCommandOptionType.String, name: "emoji", description: "Emoji", required: false },
+              { type: ApplicationCommandOptionType.String, name: "description", description: "Description", required: false },
+              { type: ApplicationCommandOptionType.String, name: "delivery", description: "Delivery ETA (e.g. 5-15 min)", required: false },
+            ],
+          },
+          {
+            type: ApplicationCommandOptionType.Subcommand,
+            name: "edit",
+            description: "Change a product (only the options you fill in)",
+            options: [
+              productIdOption,
+              { type: ApplicationCommandOptionType.String, name: "name", description: "Name", required: false },
+              { type: ApplicationCommandOptionType.Number, name: "price", description: `Price (${baseCurrency()})`, required: false },
+              { type: ApplicationCommandOptionType.String, name: "emoji", description: "Emoji", required: false },
+              { type: ApplicationCommandOptionType.String, name: "description", description: "Description", required: false },
+              { type: ApplicationCommandOptionType.String, name: "delivery", description: "Delivery ETA", required: false },
+            ],
+          },
+          {
+            type: ApplicationCommandOptionType.Subcommand,
+            name: "archive",
+            description: "Hide a product from tickets (or bring it back)",
+            options: [
+              productIdOption,
+              { type: ApplicationCommandOptionType.Boolean, name: "restore", description: "Un-archive instead", required: false },
+            ],
+          },
+          {
+            type: ApplicationCommandOptionType.Subcommand,
+            name: "reorder",
+            description: "Move a product to a position in the list",
+            options: [
+              productIdOption,
+              { type: ApplicationCommandOptionType.Integer, name: "position", description: "1 = first", required: true, min_value: 1 },
+            ],
+          },
+          {
+            type: ApplicationCommandOptionType.Subcommand,
+            name: "set-stock",
+            description: "Set units left (leave empty for unlimited)",
+            options: [
+              productIdOption,
+              { type: ApplicationCommandOptionType.Integer, name: "stock", description: "Units left", required: false, min_value: 0 },
+            ],
+          },
+          {
+            type: ApplicationCommandOptionType.Subcommand,
+            name: "list",
+            description: "Show the full catalog, archived products included",
+          },
+          {
+            type: ApplicationCommandOptionType.Subcommand,
+            name: "export",
+            description: "Download the catalog as JSON",
+          },
+          {
+            type: ApplicationCommandOptionType.Subcommand,
+            name: "import",
+            description: "Add/update products from a JSON file (same format as export)",
+            options: [
+              { type: ApplicationCommandOptionType.Attachment, name: "file", description: "catalog .json", required: true },
+            ],
+          },
+        ],
+      },
+      {
+        name: "inventory",
+        description: "License keys, links and files delivered automatically on payment",
+        default_member_permissions: String(PermissionFlagsBits.Administrator),
+        options: [
+          {
+            type: ApplicationCommandOptionType.Subcommand,
+            name: "add",
+            description: "Add keys or download links to a product's pool",
+            options: [
+              productIdOption,
+              {
+                type: ApplicationCommandOptionType.String,
+                name: "type",
+                description: "Item type",
+                required: true,
+                choices: [
+                  { name: "License key", value: "key" },
+                  { name: "Download link", value: "link" },
+                ],
+              },
+              {
+                type: ApplicationCommandOptionType.String,
+                name: "items",
+                description: "One or more items, separated by commas",
+                required: true,
+              },
+            ],
+          },
+          {
+            type: ApplicationCommandOptionType.Subcommand,
+            name: "upload",
+            description: "Upload a .txt of keys/links (one per line) or a file to deliver",
+            options: [
+              productIdOption,
+              {
+                type: ApplicationCommandOptionType.String,
+                name: "type",
+                description: "What the attachment contains",
+                required: true,
+                choices: [
+                  { name: "License keys (.txt, one per line)", value: "key" },
+                  { name: "Download links (.txt, one per line)", value: "link" },
+                  { name: "File (delivered as-is, one unit)", value: "file" },
+                ],
+              },
+              { type: ApplicationCommandOptionType.Attachment, name: "file", description: "Attachment", required: true },
+            ],
+          },
+          {
+            type: ApplicationCommandOptionType.Subcommand,
+            name: "status",
+            description: "Remaining and delivered items per product",
+          },
+          {
+            type: ApplicationCommandOptionType.Subcommand,
+            name: "disable",
+            description: "Switch a product back to manual delivery (unclaimed items are kept)",
+            options: [productIdOption],
+          },
+        ],
+      },
+      {
+        name: "stats",
+        description: "Sales report with chart and CSV export",
+        default_member_permissions: String(PermissionFlagsBits.Administrator),
+        options: [
+          {
+            type: ApplicationCommandOptionType.String,
+            name: "period",
+            description: "Report period",
+            required: true,
+            choices: [
+              { name: "today", value: "today" },
+              { name: "last 7 days", value: "7d" },
+              { name: "last 30 days", value: "30d" },
+              { name: "custom (use from / to)", value: "custom" },
+            ],
+          },
+          {
+            type: ApplicationCommandOptionType.String,
+            name: "from",
+            description: "Custom start (YYYY-MM-DD)",
+            required: false,
+          },
+          {
+            type: ApplicationCommandOptionType.String,
+            name: "to",
+            description: "Custom end, inclusive (YYYY-MM-DD)",
+            required: false,
+          },
+        ],
+      },
+      {
+        name: "currency",
+        description: "Display currency and exchange rates",
+        options: [
+          {
+            type: ApplicationCommandOptionType.Subcommand,
+            name: "set",
+            description: "Currency you see prices in and pay with",
+            options: [currencyCodeOption],
+          },
+          {
+            type: ApplicationCommandOptionType.Subcommand,
+            name: "server",
+            description: "Default currency for this server (admin)",
+            options: [currencyCodeOption],
+          },
+          {
+            type: ApplicationCommandOptionType.Subcommand,
+            name: "rates",
+            description: "Show the current exchange rates",
+          },
+          {
+            type: ApplicationCommandOptionType.Subcommand,
+            name: "refresh",
+            description: "Reload exchange rates (admin)",
+          },
+        ],
+      },
+      {
+        name: "wallet",
+        description: "Store credit",
+        options: [
+          {
+            type: ApplicationCommandOptionType.Subcommand,
+            name: "balance",
+            description: "Show a store credit balance and history",
+            options: [
+              {
+                type: ApplicationCommandOptionType.User,
+                name: "user",
+                description: "Someone else's wallet (staff)",
+                required: false,
+              },
+            ],
+          },
+          {
+            type: ApplicationCommandOptionType.Subcommand,
+            name: "credit",
+            description: "Add store credit (owner/admin)",
+            options: walletAdjustOptions,
+          },
+          {
+            type: ApplicationCommandOptionType.Subcommand,
+            name: "debit",
+            description: "Remove store credit (owner/admin)",
+            options: walletAdjustOptions,
+          },
+        ],
+      },
+      {
+        name: "myorders",
+        description: "Your orders, with invoices to download",
+      },
+      {
+        name: "hold",
+        description: "Keep this ticket open: no inactivity reminders or auto-close",
+        options: [
+          {
+            type: ApplicationCommandOptionType.Boolean,
+            name: "release",
+            description: "Take the ticket off hold instead",
+            required: false,
+          },
+        ],
+      },
+      {
+        name: "staff",
+        description: "Staff leaderboard: open tickets, deliveries and delivery time",
+        options: [
+          {
+            type: ApplicationCommandOptionType.Integer,
+            name: "days",
+            description: "Only count deliveries from the last N days (default: all time)",
+            required: false,
+            min_value: 1,
+            max_value: 365,
+          },
+        ],
+      },
+      {
+        name: "referral",
+        description: "Your referral code and earnings",
+        options: [
+          {
+            type: ApplicationCommandOptionType.User,
+            name: "user",
+            description: "Check someone else's referrals (staff)",
+            required: false,
+          },
+        ],
+      },
+      {
+        name: "webhook",
+        description: "Inspect and replay stored payment webhooks",
+        default_member_permissions: String(PermissionFlagsBits.Administrator),
+        options: [
+          {
+            type: ApplicationCommandOptionType.Subcommand,
+            name: "list",
+            description: "Show recent webhook events",
+            options: [
+              {
+                type: ApplicationCommandOptionType.String,
+                name: "order",
+                description: "Only events for this order ID",
+                required: false,
+              },
+            ],
+          },
+          {
+            type: ApplicationCommandOptionType.Subcommand,
+            name: "replay",
+            description: "Process a stored webhook event again",
+            options: [
+              {
+                type: ApplicationCommandOptionType.String,
+                name: "id",
+                description: "Event ID (from /webhook list)",
+                required: true,
+              },
+            ],
+          },
+        ],
+      },
+    ];
+
+    for (const [, g] of guilds) {
+      const guild = await client.guilds.fetch(g.id);
+      await guild.commands.set(commands);
+    }
+
+    console.log("Commands registered.");
+  } catch (e) {
+    console.log("Command registration error:", e);
+  }
+
+  // Tickets: record legacy ticket-<userId> channels, close records whose channel is gone
+  for (const guild of client.guilds.cache.values()) {
+    try {
+      const channels = await guild.channels.fetch();
+      for (const c of channels.values()) {
+        if (c?.type === ChannelType.GuildText && LEGACY_TICKET_NAME.test(c.name)) ticketRecord(c);
+      }
+      const closed = reconcileTickets(guild.id, new Set(channels.keys()));
+      if (closed) console.log(`Closed ${closed} ticket record(s) for deleted channels in ${guild.name}.`);
+    } catch (e) {
+      console.log("Ticket reconcile error:", e);
+    }
+  }
+
+  // The schedule lives in the tickets table, so a restart picks up where it left off
+  const runIdleCheck = () => checkIdleTickets().catch((e) => console.log("Inactivity check error:", e));
+  runIdleCheck();
+  setInterval(runIdleCheck, INACTIVITY_CHECK_MS);
+});
+
+/* -------- Slash command handlers -------- */
+client.on(Events.InteractionCreate, async (interaction) => {
+  if (!interaction.isChatInputCommand()) return;
+
+  if (interaction.commandName === "panel") {
+    const wanted = (interaction.options.getString("types") || "")
+      .split(",")
+      .map((k) => k.trim().toLowerCase())
+      .filter(Boolean);
+    const unknown = wanted.filter((k) => !getTicketType(k));
+    if (unknown.length) {
+      await interaction.reply({
+        content: `❌ Unknown ticket type: ${unknown.join(", ")}. Available: ${listTicketTypes().map((t) => t.key).join(", ")}`,
+        ephemeral: true,
+      });
+      return;
+    }
+
+    const types = wanted.length ? wanted.map(getTicketType) : listTicketTypes();
+    const style = interaction.options.getString("style") || "buttons";
+    await interaction.channel.send({ embeds: [panelEmbed(types)], components: panelRows(types, style) });
+    await interaction.reply({ content: "✅ Panel sent.", ephemeral: true });
+    return;
+  }
+
+  if (interaction.commandName === "coupon") {
+    const sub = interaction.options.getSubcommand();
+
+    if (sub === "add") {
+      try {
+        const code = interaction.options.getString("code", true);
+        const type = interaction.options.getString("type", true);
+        const value = interaction.options.getNumber("value", true);
+        const maxUses = interaction.options.getInteger("maxuses") ?? 0;
+
+        const c = addCoupon({ code, type, value, maxUses, ...couponRuleInput(interaction.options) });
+        const rules = couponRulesText(c);
+        await interaction.reply({
+          content: `✅ Added coupon **${c.code}** (${c.type} - ${
+            c.type === "percent" ? `${c.value}%` : money(c.value)
+          }, maxUses: ${c.maxUses || "unlimited"})${rules ? `\nRules: ${rules}` : ""}`,
+          ephemeral: true,
+        });
+      } catch (e) {
+        await interaction.reply({ content: `❌ ${e.message}`, ephemeral: true });
+      }
+      return;
+    }
+
+    if (sub === "generate") {
+      try {
+        const created = generateCoupons({
+          count: interaction.options.getInteger("count", true),
+          prefix: interaction.options.getString("prefix") || "",
+          type: interaction.options.getString("type", true),
+          value: interaction.options.getNumber("value", true),
+          maxUses: interaction.options.getInteger("maxuses") ?? 1,
+          ...couponRuleInput(interaction.options),
+        });
+        const rules = couponRulesText(created[0]);
+        await interaction.reply({
+          content: `✅ Generated ${created.length} coupon(s)${rules ? `\nRules: ${rules}` : ""}`,
+          files: [{ attachment: Buffer.from(couponsToCsv(created), "utf8"), name: `coupons-${Date.now()}.csv` }],
+          ephemeral: true,
+        });
+      } catch (e) {
+        await interaction.reply({ content: `❌ ${e.message}`, ephemeral: true });
+      }
+      return;
+    }
+
+    if (sub === "edit") {
+      try {
+        const rules = couponRuleInput(interaction.options);
+        if (interaction.options.getBoolean("no-role")) rules.roleId = null;
+
+        const c = editCoupon(interaction.options.getString("code", true), {
+          value: interaction.options.getNumber("value") ?? undefined,
+          maxUses: interaction.options.getInteger("maxuses") ?? undefined,
+          active: interaction.options.getBoolean("active") ?? undefined,
+          ...rules,
+        });
+        await interaction.reply({ content: `✅ Updated ${couponSummary(c)}`, ephemeral: true });
+      } catch (e) {
+        await interaction.reply({ content: `❌ ${e.message}`, ephemeral: true });
+      }
+      return;
+    }
+
+    if (sub === "delete") {
+      const code = interaction.options.getString("code", true);
       const ok = deleteCoupon(code);
       await interaction.reply({
-        content: ok ? `✅ Deleted coupon **${code.toUpperCase()}**` : "⚠️ Coupon not found.",
+        content: ok ? `✅ Deleted coupon **${code.toUpperCase()}**` : "⚠️ Coupon not found.",
+        ephemeral: true,
+      });
+      return;
+    }
+
+    if (sub === "list") {
+      const arr = listCoupons();
+      if (!arr.length) {
+        await interaction.reply({ content: "No coupons yet.", ephemeral: true });
+        return;
+      }
+
+      const lines = arr.map((c) => `• ${couponSummary(c)}`).join("\n");
+
+      const embed = new EmbedBuilder().setTitle("Coupons").setDescription(lines.slice(0, 4000));
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+  }
+
+  if (interaction.commandName === "order") {
+    const sub = interaction.options.getSubcommand();
+    const actor = `staff:${interaction.user.id}`;
+
+    if (!isStaff(interaction.member, interaction.user.id)) {
+      await interaction.reply({ content: "❌ Staff only.", ephemeral: true });
+      return;
+    }
+    if (["mark-paid", "cancel", "refund"].includes(sub) && !isOwnerOrAdmin(interaction.member, interaction.user.id)) {
+      await interaction.reply({ content: "❌ Only the owner or an admin can do that.", ephemeral: true });
+      return;
+    }
+
+    try {
+      if (sub === "search") {
+        const day = /^\d{4}-\d{2}-\d{2}$/;
+        const fromDay = interaction.options.getString("from")?.trim() || "";
+        const toDay = interaction.options.getString("to")?.trim() || "";
+        if ((fromDay && !day.test(fromDay)) || (toDay && !day.test(toDay))) {
+          throw new Error("Dates must look like 2026-01-31");
+        }
+
+        const filters = {
+          userId: interaction.options.getUser("user")?.id || "",
+          status: interaction.options.getString("status") || "",
+          productId: (interaction.options.getString("product") || "").trim().slice(0, 20),
+          fromDay,
+          toDay,
+        };
+        await interaction.reply({ ...orderSearchPage(filters, 0), ephemeral: true });
+        return;
+      }
+
+      const order = findOrder(interaction.options.getString("id", true));
+      if (!order) throw new Error("Order not found.");
+
+      if (sub === "view") {
+        await interaction.reply({ embeds: [orderViewEmbed(order)], ephemeral: true });
+        return;
+      }
+
+      if (sub === "mark-paid") {
+        const reference = interaction.options.getString("reference", true).trim();
+        const paid = markPaid(
+          order.id,
+          { method: "manual", provider: "manual", transactionId: reference, paidAmount: money(chargeTotal(order), orderCurrency(order)) },
+          { actor, reason: `manual payment ${reference}` }
+        );
+        await notifyPaid(paid);
+        await deliverFromInventory(paid);
+        await interaction.reply({ content: `✅ Order \`${order.id}\` marked paid (ref: ${reference}).`, ephemeral: true });
+        return;
+      }
+
+      if (sub === "cancel") {
+        const reason = interaction.options.getString("reason") || "cancelled by staff";
+        const updated = transitionOrder(order.id, "cancelled", { actor, reason });
+        await notifyOrderEvent(updated, "🚫 Order Cancelled", [`**Reason:** ${reason}`]);
+        await interaction.reply({ content: `✅ Order \`${order.id}\` cancelled.`, ephemeral: true });
+        return;
+      }
+
+      if (sub === "refund") {
+        const reason = interaction.options.getString("reason") || "refunded by staff";
+        const walletPaid = order.payment?.provider === "wallet";
+        // Refunds are in the currency the order was charged in
+        const cur = orderCurrency(order);
+        // pricing.wallet is in the base currency
+        const paidTotal = Number(
+          order.payment?.received ?? (walletPaid ? toOrderCurrency(order, order.pricing?.wallet || 0) : chargeTotal(order)) ?? 0
+        );
+        const already = Number(order.refund?.amount || 0);
+        const amount = interaction.options.getNumber("amount") ?? Number((paidTotal - already).toFixed(2));
+        if (!(amount > 0) || amount > paidTotal - already + 0.001) {
+          throw new Error(`Amount must be between ${money(0.01, cur)} and ${money(paidTotal - already, cur)}.`);
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        // Stripe orders are refunded for real; the charge.refunded webhook then finds the order already updated
+        let refundId = null;
+        if (order.payment?.provider === "stripe" && String(order.payment?.transactionId || "").startsWith("pi_")) {
+          const r = await refundStripePayment({
+            env: process.env,
+            paymentIntentId: order.payment.transactionId,
+            amount,
+            currency: cur,
+            reason,
+          });
+          refundId = r.id;
+        }
+
+        const cumulative = Number((already + amount).toFixed(2));
+        // The charge.refunded webhook may have recorded this refund while Stripe was answering: re-read, and
+        // if it did, the refund (and its credit note) is already there
+        const current = getOrderById(order.id);
+        if (Number(current.refund?.amount || 0) + 0.001 >= cumulative) {
+          logOrderAction(order.id, { actor, action: "refund", reason: `${reason} (recorded via Stripe webhook)` });
+          await interaction.editReply(`✅ Order \`${order.id}\` is now **${current.status}** (${money(cumulative, cur)} refunded).`);
+          return;
+        }
+        const updated = markRefunded(
+          order.id,
+          { amountRefunded: cumulative, full: cumulative + 0.001 >= paidTotal, refundId },
+          { actor, reason }
+        );
+        await notifyOrderEvent(updated, "↩️ Order Refunded", [
+          `**Refunded:** ${money(cumulative, cur)} of ${money(paidTotal, cur)}`,
+          `**Reason:** ${reason}`,
+          walletPaid ? "Returned to the customer's store credit." : "",
+          refundId || walletPaid ? "" : "Send the money back manually — this order was not paid through Stripe.",
+          !walletPaid && updated.status === "refunded" && order.pricing?.wallet
+            ? `${money(order.pricing.wallet)} store credit returned to the customer's wallet.`
+            : "",
+        ]);
+        await issueCreditNote(order, updated, { reason });
+        await interaction.editReply(`✅ Order \`${order.id}\` is now **${updated.status}** (${money(cumulative, cur)} refunded).`);
+        return;
+      }
+
+      if (sub === "resend-invoice") {
+        await interaction.deferReply({ ephemeral: true });
+        const pdfPath = await generateInvoice(order);
+
+        const user = await client.users.fetch(order.userId).catch(() => null);
+        const sent = user
+          ? await user
+              .send({
+                content: `🧾 Your invoice from **${STORE_NAME}** (Order: \`${order.id}\`).`,
+                files: [pdfPath],
+              })
+              .then(() => true)
+              .catch(() => false)
+          : false;
+
+        logOrderAction(order.id, { actor, action: "invoice resent", reason: sent ? "DM sent" : "DM failed" });
+        await interaction.editReply({
+          content: sent ? "✅ Invoice sent to the buyer." : "⚠️ Couldn't DM the buyer — here is the PDF.",
+          files: [pdfPath],
+        });
+        return;
+      }
+
+      if (sub === "transcript") {
+        const t = getTranscriptForOrder(order.id);
+        if (!t || !fs.existsSync(t.file)) throw new Error("No transcript saved for this order's ticket.");
+
+        await interaction.reply({
+          content: `🧾 Transcript of <#${t.channelId}> for order \`${order.id}\` (${t.messageCount} messages, saved ${t.createdAt.slice(0, 10)}).`,
+          files: [{ attachment: Buffer.from(transcriptHtml(t)), name: `transcript-${t.channelId}.html` }],
+          ephemeral: true,
+        });
+        return;
+      }
+
+      if (sub === "note") {
+        const text = interaction.options.getString("text", true).trim().slice(0, 500);
+        logOrderAction(order.id, {
+          actor,
+          action: "note",
+          reason: text,
+          patch: (o) => {
+            o.notes = [...(o.notes || []), { text, by: interaction.user.id, at: new Date().toISOString() }];
+          },
+        });
+        await interaction.reply({ content: "📝 Note added.", ephemeral: true });
+        return;
+      }
+    } catch (e) {
+      const msg = { content: `❌ ${e.message}`, ephemeral: true };
+      if (interaction.deferred) await interaction.editReply(msg.content).catch(() => {});
+      else await interaction.reply(msg).catch(() => {});
+    }
+    return;
+  }
+
+  if (interaction.commandName === "product") {
+    const sub = interaction.options.getSubcommand();
+
+    try {
+      if (sub === "add") {
+        const p = addProduct({
+          id: interaction.options.getString("id", true).trim(),
+          name: interaction.options.getString("name", true),
+          price: interaction.options.getNumber("price", true),
+          emoji: interaction.options.getString("emoji"),
+          description: interaction.options.getString("description"),
+          delivery: interaction.options.getString("delivery"),
+        });
+        await interaction.reply({ content: `✅ Added ${catalogLine(p, p.position - 1)}`, ephemeral: true });
+        return;
+      }
+
+      if (sub === "edit") {
+        const p = editProduct(interaction.options.getString("id", true).trim(), {
+          name: interaction.options.getString("name") ?? undefined,
+          price: interaction.options.getNumber("price") ?? undefined,
+          emoji: interaction.options.getString("emoji") ?? undefined,
+          description: interaction.options.getString("description") ?? undefined,
+          delivery: interaction.options.getString("delivery") ?? undefined,
+        });
+        await interaction.reply({ content: `✅ Updated ${catalogLine(p, p.position - 1)}`, ephemeral: true });
+        return;
+      }
+
+      if (sub === "archive") {
+        const restore = interaction.options.getBoolean("restore") ?? false;
+        const p = archiveProduct(interaction.options.getString("id", true), !restore);
+        await interaction.reply({
+          content: restore ? `✅ **${p.name}** is back on sale.` : `🗄️ **${p.name}** archived.`,
+          ephemeral: true,
+        });
+        return;
+      }
+
+      if (sub === "reorder") {
+        const all = reorderProduct(interaction.options.getString("id", true), interaction.options.getInteger("position", true));
+        const embed = new EmbedBuilder().setTitle("Catalog").setDescription(all.map(catalogLine).join("\n").slice(0, 4000));
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+        return;
+      }
+
+      if (sub === "set-stock") {
+        const p = setStock(interaction.options.getString("id", true), interaction.options.getInteger("stock") ?? null);
+        await interaction.reply({
+          content: `📦 **${p.name}** stock: ${p.stock === null ? "unlimited" : p.stock}`,
+          ephemeral: true,
+        });
+        return;
+      }
+
+      if (sub === "list") {
+        const all = listProducts({ includeArchived: true });
+        const embed = new EmbedBuilder()
+          .setTitle("Catalog")
+          .setDescription(all.map(catalogLine).join("\n").slice(0, 4000) || "No products yet.");
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+        return;
+      }
+
+      if (sub === "export") {
+        const json = JSON.stringify(exportCatalog(), null, 2);
+        await interaction.reply({
+          content: "📦 Current catalog:",
+          files: [{ attachment: Buffer.from(json, "utf8"), name: "products.json" }],
+          ephemeral: true,
+        });
+        return;
+      }
+
+      if (sub === "import") {
+        const file = interaction.options.getAttachment("file", true);
+        if (file.size > 1_000_000) throw new Error("File is too large (max 1 MB)");
+
+        await interaction.deferReply({ ephemeral: true });
+        const res = await fetch(file.url);
+        let list;
+        try {
+          list = JSON.parse(await res.text());
+        } catch {
+          throw new Error("File is not valid JSON");
+        }
+        const n = importCatalog(list);
+        await interaction.editReply(`✅ Imported ${n} products.`);
+        return;
+      }
+    } catch (e) {
+      if (interaction.deferred) await interaction.editReply(`❌ ${e.message}`).catch(() => {});
+      else await interaction.reply({ content: `❌ ${e.message}`, ephemeral: true }).catch(() => {});
+    }
+    return;
+  }
+
+  if (interaction.commandName === "inventory") {
+    const sub = interaction.options.getSubcommand();
+
+    try {
+      if (sub === "add") {
+        const id = interaction.options.getString("id", true).trim();
+        const items = interaction.options.getString("items", true).split(",");
+        const res = addInventory(id, interaction.options.getString("type", true), items);
+        await interaction.reply({
+          content: `✅ Added ${res.added} item(s) to \`${id}\`. ${res.available} available, delivered automatically on payment.`,
+          ephemeral: true,
+        });
+        return;
+      }
+
+      if (sub === "upload") {
+        const id = interaction.options.getString("id", true).trim();
+        const type = interaction.options.getString("type", true);
+        const file = interaction.options.getAttachment("file", true);
+        if (file.size > 8_000_000) throw new Error("File is too large (max 8 MB)");
+
+        await interaction.deferReply({ ephemeral: true });
+        const buf = Buffer.from(await (await fetch(file.url)).arrayBuffer());
+        const res =
+          type === "file"
+            ? addInventoryFile(id, file.name, buf)
+            : addInventory(id, type, buf.toString("utf8").split(/\r?\n/));
+        await interaction.editReply(`✅ Added ${res.added} item(s) to \`${id}\`. ${res.available} available.`);
+        return;
+      }
+
+      if (sub === "status") {
+        const lines = inventorySummary()
+          .filter((r) => r.autoDeliver || r.available || r.claimed)
+          .map(
+            (r) =>
+              `\`${r.id}\` **${r.name}** — ${r.available} left, ${r.claimed} delivered${r.autoDeliver ? "" : " — _manual delivery_"}`
+          );
+        const embed = new EmbedBuilder()
+          .setTitle("Inventory")
+          .setDescription(lines.join("\n").slice(0, 4000) || "No inventory yet. Add some with `/inventory add`.");
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+        return;
+      }
+
+      if (sub === "disable") {
+        const id = interaction.options.getString("id", true).trim();
+        disableAutoDeliver(id);
+        await interaction.reply({ content: `✅ \`${id}\` is delivered manually again.`, ephemeral: true });
+        return;
+      }
+    } catch (e) {
+      if (interaction.deferred) await interaction.editReply(`❌ ${e.message}`).catch(() => {});
+      else await interaction.reply({ content: `❌ ${e.message}`, ephemeral: true }).catch(() => {});
+    }
+    return;
+  }
+
+  if (interaction.commandName === "stats") {
+    let range;
+    try {
+      range = resolvePeriod(interaction.options.getString("period", true), {
+        fromDay: interaction.options.getString("from")?.trim(),
+        toDay: interaction.options.getString("to")?.trim(),
+      });
+    } catch (e) {
+      await interaction.reply({ content: `❌ ${e.message}`, ephemeral: true });
+      return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const orders = getOrdersCreatedBetween(range.from.toISOString(), range.to.toISOString());
+    const st = computeStats(orders, range);
+
+    const breakdown = (arr, fmt) => arr.slice(0, 8).map(fmt).join("\n").slice(0, 1024) || "—";
+
+    const embed = new EmbedBuilder()
+      .setTitle(`📊 Sales — ${range.label}`)
+      .setDescription(
+        [
+          `**Revenue (net):** ${money(st.revenue)}`,
+          `**Paid orders:** ${st.paid} of ${st.created} created (${(st.conversion * 100).toFixed(1)}% conversion)`,
+          `**Average order:** ${money(st.averageOrder)}`,
+          `**Discounts given:** ${money(st.discount)}`,
+          st.refunded ? `**Refunded:** ${money(st.refunded)}` : "",
+        ]
+          .filter(Boolean)
+          .join("\n")
+      )
+      .addFields(
+        { name: "By product (gross)", value: breakdown(st.byProduct, (r) => `${r.key} — ${r.count} sold — ${money(r.amount)}`), inline: false },
+        { name: "By payment method", value: breakdown(st.byMethod, (r) => `${r.key} — ${r.count} — ${money(r.amount)}`), inline: true },
+        { name: "By coupon", value: breakdown(st.byCoupon, (r) => `${r.key} — ${r.count} uses — -${money(r.amount)}`), inline: true }
+      )
+      .setImage("attachment://revenue.png")
+      .setFooter({ text: "Daily revenue by payment date (UTC). CSV lists every order created in the period." });
+
+    const png = renderBarChartPNG(st.daily.map((d) => ({ label: d.day.slice(5), value: d.value })));
+    const csv = ordersToCsv(orders);
+
+    await interaction.editReply({
+      embeds: [embed],
+      files: [
+        { attachment: png, name: "revenue.png" },
+        { attachment: Buffer.from(csv, "utf8"), name: `orders-${range.from.toISOString().slice(0, 10)}.csv` },
+      ],
+    });
+    return;
+  }
+
+  if (interaction.commandName === "currency") {
+    const sub = interaction.options.getSubcommand();
+
+    if (sub === "rates") {
+      await interaction.reply({ embeds: [ratesEmbed()], ephemeral: true });
+      return;
+    }
+
+    if ((sub === "server" || sub === "refresh") && !isOwnerOrAdmin(interaction.member, interaction.user.id)) {
+      await interaction.reply({ content: "❌ Only the owner or an admin can do that.", ephemeral: true });
+      return;
+    }
+
+    try {
+      if (sub === "refresh") {
+        await interaction.deferReply({ ephemeral: true });
+        await refreshRates();
+        await interaction.editReply({ content: "✅ Exchange rates reloaded.", embeds: [ratesEmbed()] });
+        return;
+      }
+
+      const raw = interaction.options.getString("code", true).trim();
+      const code = raw.toLowerCase() === "default" ? null : raw;
+      const saved =
+        sub === "server"
+          ? setCurrencyPreference("guild", interaction.guildId, code)
+          : setCurrencyPreference("user", interaction.user.id, code);
+
+      const now = displayCurrency({ guildId: interaction.guildId, userId: interaction.user.id });
+      await interaction.reply({
+        content: saved
+          ? `✅ ${sub === "server" ? "Server" : "Your"} currency set to **${saved}**.`
+          : `✅ ${sub === "server" ? "Server" : "Your"} currency reset. You now see prices in **${now}**.`,
+        ephemeral: true,
+      });
+    } catch (e) {
+      if (interaction.deferred) await interaction.editReply(`❌ ${e.message}`).catch(() => {});
+      else await interaction.reply({ content: `❌ ${e.message}`, ephemeral: true }).catch(() => {});
+    }
+    return;
+  }
+
+  if (interaction.commandName === "wallet") {
+    const sub = interaction.options.getSubcommand();
+    const target = interaction.options.getUser("user") || interaction.user;
+
+    if (sub === "balance") {
+      if (target.id !== interaction.user.id && !isStaff(interaction.member, interaction.user.id)) {
+        await interaction.reply({ content: "❌ Staff only.", ephemeral: true });
+        return;
+      }
+
+      const history = walletHistory(target.id).map(walletLine).join("\n");
+      const embed = new EmbedBuilder()
+        .setTitle(target.id === interaction.user.id ? "💰 Your Wallet" : `💰 Wallet — ${target.tag}`)
+        .setDescription(
+          [
+            `**Balance:** ${money(getBalance(target.id))}`,
+            "Store credit is applied automatically at checkout.",
+            history ? `\n**History**\n${history}` : "",
+          ]
+            .filter(Boolean)
+            .join("\n")
+            .slice(0, 4000)
+        );
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    if (!isOwnerOrAdmin(interaction.member, interaction.user.id)) {
+      await interaction.reply({ content: "❌ Only the owner or an admin can do that.", ephemeral: true });
+      return;
+    }
+
+    try {
+      const amount = interaction.options.getNumber("amount", true);
+      const reason = interaction.options.getString("reason", true).trim();
+      const r = adjustWallet(target.id, sub === "credit" ? amount : -amount, {
+        reason,
+        actor: `staff:${interaction.user.id}`,
+      });
+
+      await interaction.reply({
+        content: `✅ ${sub === "credit" ? "Added" : "Removed"} ${money(amount)} ${sub === "credit" ? "to" : "from"} ${target}'s wallet. Balance: ${money(r.balance)}`,
         ephemeral: true,
       });
+      await target
+        .send(`💰 ${sub === "credit" ? "+" : "-"}${money(amount)} store credit at **${STORE_NAME}** (${reason}). Balance: ${money(r.balance)}`)
+        .catch(() => {});
+    } catch (e) {
+      await interaction.reply({ content: `❌ ${e.message}`, ephemeral: true });
+    }
+    return;
+  }
+
+  if (interaction.commandName === "staff") {
+    if (!isStaff(interaction.member, interaction.user.id)) {
+      await interaction.reply({ content: "❌ Staff only.", ephemeral: true });
+      return;
+    }
+    await interaction.reply({ embeds: [staffLeaderboardEmbed(interaction.options.getInteger("days"))], ephemeral: true });
+    return;
+  }
+
+  if (interaction.commandName === "hold") {
+    const ticket = ticketRecord(interaction.channel);
+    if (!ticket) {
+      await interaction.reply({ content: "❌ Use this inside a ticket.", ephemeral: true });
+      return;
+    }
+    if (!isStaffFor(interaction.member, interaction.user.id, ticket.type)) {
+      await interaction.reply({ content: "❌ Staff only.", ephemeral: true });
+      return;
+    }
+    try {
+      const release = interaction.options.getBoolean("release") ?? false;
+      setTicketHold(interaction.channelId, !release);
+      touchTicket(interaction.channelId);
+      await interaction.reply({
+        content: release
+          ? "✅ Ticket taken off hold. It will close after a period of inactivity."
+          : "✅ Ticket on hold. It won't be closed for inactivity.",
+      });
+    } catch (e) {
+      await interaction.reply({ content: `❌ ${e.message}`, ephemeral: true });
+    }
+    return;
+  }
+
+  if (interaction.commandName === "myorders") {
+    await interaction.reply({ ...myOrdersReply(interaction.user), ephemeral: true });
+    return;
+  }
+
+  if (interaction.commandName === "referral") {
+    const target = interaction.options.getUser("user") || interaction.user;
+    if (target.id !== interaction.user.id && !isStaff(interaction.member, interaction.user.id)) {
+      await interaction.reply({ content: "❌ Staff only.", ephemeral: true });
       return;
     }
 
+    const coupon = getReferralCode(target.id);
+    const earnings = referralEarnings(target.id);
+    const recent = earnings.recent
+      .map(
+        (r) =>
+          `• ${r.createdAt.slice(0, 10)} — \`${r.orderId.slice(0, 8)}\` — ${money(r.amount)}${r.status === "reversed" ? " _(refunded)_" : ""}`
+      )
+      .join("\n");
+
+    const embed = new EmbedBuilder()
+      .setTitle(target.id === interaction.user.id ? "🤝 Your Referrals" : `🤝 Referrals — ${target.tag}`)
+      .setDescription(
+        [
+          `**Code:** \`${coupon.code}\` — buyers get ${coupon.value}% off their order.`,
+          `**Paid orders:** ${earnings.orders}`,
+          `**Earned:** ${money(earnings.total)}`,
+          recent ? `\n**Recent**\n${recent}` : "",
+        ]
+          .filter(Boolean)
+          .join("\n")
+      );
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return;
+  }
+
+  if (interaction.commandName === "webhook") {
+    const sub = interaction.options.getSubcommand();
+
     if (sub === "list") {
-      const arr = listCoupons();
+      const orderId = interaction.options.getString("order");
+      const arr = listWebhookEvents({ orderId, limit: 15 });
       if (!arr.length) {
-        await interaction.reply({ content: "No coupons yet.", ephemeral: true });
+        await interaction.reply({ content: "No webhook events stored.", ephemeral: true });
         return;
       }
 
       const lines = arr
-        .map((c) => {
-          const typeText = c.type === "percent" ? `${c.value}%` : `$${c.value}`;
-          const usesText = Number(c.maxUses || 0) > 0 ? `${c.uses}/${c.maxUses}` : `${c.uses}/∞`;
-          return `• **${c.code}** — ${c.type} (${typeText}) — uses: ${usesText} — ${
-            c.active === false ? "inactive" : "active"
-          }`;
-        })
+        .map(
+          (e) =>
+            `• \`${e.id}\` — ${e.type || "-"} — **${e.status}**${e.outcome ? ` (${e.outcome})` : ""} — tries: ${e.attempts}`
+        )
         .join("\n");
 
-      const embed = new EmbedBuilder().setTitle("Coupons").setDescription(lines);
+      const embed = new EmbedBuilder().setTitle("Webhook Events").setDescription(lines.slice(0, 4000));
       await interaction.reply({ embeds: [embed], ephemeral: true });
       return;
     }
+
+    if (sub === "replay") {
+      const id = interaction.options.getString("id", true).trim();
+      const event = getWebhookEvent(id);
+      if (!event) {
+        await interaction.reply({ content: "⚠️ Event not found.", ephemeral: true });
+        return;
+      }
+
+      await interaction.deferReply({ ephemeral: true });
+      const r = await runWebhookEvent(event);
+      await interaction.editReply(`🔁 Replayed \`${r.id}\` → **${r.status}**${r.outcome ? ` (${r.outcome})` : ""}`);
+      return;
+    }
+  }
+});
+
+/* -------- Button handlers -------- */
+client.on(Events.InteractionCreate, async (i) => {
+  if (!i.isButton()) return;
+
+  try {
+    // "open_ticket" is the single button of panels posted before ticket types existed
+    if (i.customId === "open_ticket" || i.customId.startsWith("open_ticket:")) {
+      const type = getTicketType(i.customId.split(":")[1] || PURCHASE_TYPE);
+      if (!type) return i.reply({ content: "❌ This ticket type no longer exists.", ephemeral: true });
+      if (type.questions.length) return i.showModal(intakeModal(type));
+      await openTicketChannel(i, type);
+      return;
+    }
+
+    if (i.customId === "ticket_claim") {
+      const record = ticketRecord(i.channel);
+      if (!record) return i.reply({ content: "❌ This isn't a ticket.", ephemeral: true });
+      if (!isStaffFor(i.member, i.user.id, record.type)) return i.reply({ content: "❌ Staff only.", ephemeral: true });
+
+      const ticket = claimTicket(record.channelId, i.user.id);
+      tagTicketChannel(i.channel, ticket);
+      await i.update({ content: staffControlText(ticket), components: [staffRow(ticket)] });
+      await i.channel.send(`🙋 <@${i.user.id}> claimed this ticket.`);
+      return;
+    }
+
+    if (i.customId === "ticket_unclaim" || i.customId === "ticket_transfer") {
+      const ticket = ticketRecord(i.channel);
+      if (!ticket) return i.reply({ content: "❌ This isn't a ticket.", ephemeral: true });
+      if (ticket.assigneeId !== i.user.id && !isOwnerOrAdmin(i.member, i.user.id)) {
+        return i.reply({ content: "❌ Only the assignee or an admin can do that.", ephemeral: true });
+      }
+
+      if (i.customId === "ticket_transfer") {
+        const pick = new UserSelectMenuBuilder().setCustomId("ticket_transfer_to").setPlaceholder("Transfer to…");
+        await i.reply({ content: "Who should take this ticket?", components: [new ActionRowBuilder().addComponents(pick)], ephemeral: true });
+        return;
+      }
+
+      const updated = unclaimTicket(ticket.channelId);
+      tagTicketChannel(i.channel, updated);
+      await i.update({ content: staffControlText(updated), components: [staffRow(updated)] });
+      await i.channel.send(`↩️ <@${i.user.id}> unclaimed this ticket.`);
+      return;
+    }
+
+    if (i.customId === "open_coupon") {
+      const modal = new ModalBuilder().setCustomId("coupon_modal").setTitle("Apply Coupon");
+      const codeInput = new TextInputBuilder()
+        .setCustomId("coupon_code")
+        .setLabel("Coupon code")
+        .setStyle(TextInputStyle.Short)
+        .setRequired(true);
+
+      modal.addComponents(new ActionRowBuilder().addComponents(codeInput));
+      await i.showModal(modal);
+      return;
+    }
+
+    if (i.customId.startsWith("choose_prod:")) {
+      const prodId = i.customId.split(":")[1];
+      const prod = getProduct(prodId);
+      if (!prod || prod.archived) return i.reply({ content: "❌ Product not found.", ephemeral: true });
+
+      const inCart = getCart(i.channelId).items.find((x) => x.id === prod.id)?.qty || 0;
+      if (isSoldOut(prod) || (prod.stock !== null && inCart + 1 > prod.stock)) {
+        return i.reply({ content: `⚠️ **${prod.name}** has only ${prod.stock} left.`, ephemeral: true });
+      }
+
+      addToCart(i.channelId, prod, 1);
+      await refreshCartMessage(i.channel);
+      await i.reply({ content: `🛒 Added **${prod.name}** to your cart.`, ephemeral: true });
+      return;
+    }
+
+    if (i.customId === "cart_clear") {
+      const cart = getCart(i.channelId);
+      clearCart(i.channelId);
+      if (cart.messageId) {
+        const msg = await i.channel.messages.fetch(cart.messageId).catch(() => null);
+        if (msg) await msg.delete().catch(() => {});
+      }
+      await i.reply({ content: "🗑️ Cart cleared.", ephemeral: true });
+      return;
+    }
+
+    if (i.customId === "cart_checkout") {
+      if (!getCart(i.channelId).items.length) return i.reply({ content: "⚠️ Your cart is empty.", ephemeral: true });
+      if (!taxEnabled()) {
+        await checkoutCart(i);
+        return;
+      }
+
+      // Tax depends on where the buyer is, so ask before the order is created
+      await i.showModal(billingModal(getBillingProfile(i.user.id)));
+      return;
+    }
+
+    if (i.customId.startsWith("pay_crypto:")) {
+      const orderId = i.customId.split(":")[1];
+      const order = getOrderById(orderId);
+      if (!order) return i.reply({ content: "❌ Order not found.", ephemeral: true });
+      if (order.paidAt) return i.reply({ content: "✅ Already paid.", ephemeral: true });
+      if (!PAYABLE_STATUSES.has(order.status)) {
+        return i.reply({ content: `⚠️ This order is **${order.status}** and can't be paid.`, ephemeral: true });
+      }
+
+      const inv = await createCryptoLink(order, { actor: `customer:${i.user.id}` });
+
+      const linkRow = new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setLabel("Pay Now").setStyle(ButtonStyle.Link).setURL(inv.url)
+      );
+
+      await i.channel.send({ embeds: [paymentInstructionsEmbed("crypto", order)], components: [linkRow] });
+      await i.reply({ content: "✅ Payment link sent.", ephemeral: true });
+      return;
+    }
+
+    if (i.customId.startsWith("pay_topup:")) {
+      const orderId = i.customId.split(":")[1];
+      const order = getOrderById(orderId);
+      if (!order) return i.reply({ content: "❌ Order not found.", ephemeral: true });
+      if (order.status !== "partially_paid") {
+        return i.reply({ content: `⚠️ This order is **${order.status}**, nothing to top up.`, ephemeral: true });
+      }
+
+      const remaining = Number((Number(order.payment.expected) - Number(order.payment.received)).toFixed(2));
+      const topups = order.payment.topups || [];
+
+      const inv = await createCryptomusInvoice({
+        amount: remaining,
+        currency: orderCurrency(order),
+        orderId: topupInvoiceId(order.id, topups.length + 1),
+        description: `${STORE_NAME} | Balance for order ${order.id}`,
+        successUrl: orderPageUrl("success", order),
+        callbackUrl: cryptomusCallbackUrl(),
+        env: process.env,
+      });
+
+      upsertOrder({
+        id: order.id,
+        payment: {
+          ...order.payment,
+          topups: [...topups, { uuid: inv.uuid, url: inv.url, amount: remaining, createdAt: new Date().toISOString() }],
+        },
+      });
+
+      const linkRow = new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setLabel("Pay Now").setStyle(ButtonStyle.Link).setURL(inv.url)
+      );
+
+      const embed = new EmbedBuilder()
+        .setTitle("Remaining Balance")
+        .setDescription(
+          [
+            `**Order ID:** \`${order.id}\``,
+            `**Received:** ${money(order.payment.received, orderCurrency(order))}`,
+            `**Left to pay:** ${money(remaining, orderCurrency(order))}`,
+            "",
+            "1) Click **Pay Now**",
+            "2) Complete payment",
+            "3) Wait for confirmation here",
+          ].join("\n")
+        );
+
+      await i.channel.send({ embeds: [embed], components: [linkRow] });
+      await i.reply({ content: "✅ Top-up link sent.", ephemeral: true });
+      return;
+    }
+
+    if (i.customId.startsWith("order_page:")) {
+      if (!isStaff(i.member, i.user.id)) return i.reply({ content: "❌ Staff only.", ephemeral: true });
+
+      const [, page, key] = i.customId.match(/^order_page:(-?\d+):(.*)$/) || [];
+      await i.update(orderSearchPage(decodeOrderFilters(key), Math.max(0, Number(page) || 0)));
+      return;
+    }
+
+    if (i.customId.startsWith("order_start:")) {
+      if (!isStaff(i.member, i.user.id)) return i.reply({ content: "❌ Staff only.", ephemeral: true });
+
+      const orderId = i.customId.split(":")[1];
+      const order = getOrderById(orderId);
+      if (!order) return i.reply({ content: "❌ Order not found.", ephemeral: true });
+      if (order.status !== "paid") {
+        return i.reply({ content: `⚠️ This order is **${order.status}**.`, ephemeral: true });
+      }
+
+      transitionOrder(order.id, "in_progress", { actor: `staff:${i.user.id}`, reason: "work started" });
+      await i.message.edit({ components: [] }).catch(() => {});
+      await i.channel.send(`🛠️ <@${i.user.id}> started working on order \`${order.id}\`.`);
+      await i.reply({ content: "✅ Order marked in progress.", ephemeral: true });
+      return;
+    }
+
+    if (i.customId.startsWith("pay_stripe:")) {
+      const orderId = i.customId.split(":")[1];
+      const order = getOrderById(orderId);
+      if (!order) return i.reply({ content: "❌ Order not found.", ephemeral: true });
+      if (order.paidAt) return i.reply({ content: "✅ Already paid.", ephemeral: true });
+      if (!PAYABLE_STATUSES.has(order.status)) {
+        return i.reply({ content: `⚠️ This order is **${order.status}** and can't be paid.`, ephemeral: true });
+      }
+
+      const session = await createStripeLink(order, { actor: `customer:${i.user.id}` });
+
+      const linkRow = new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setLabel("Pay Now").setStyle(ButtonStyle.Link).setURL(session.url)
+      );
+
+      await i.channel.send({ embeds: [paymentInstructionsEmbed("stripe", order)], components: [linkRow] });
+      await i.reply({ content: "✅ Checkout link sent.", ephemeral: true });
+      return;
+    }
+  } catch (e) {
+    console.log("Button error:", e);
+    try {
+      await i.reply({ content: `❌ Error: ${e.message}`, ephemeral: true });
+    } catch {}
+  }
+});
+
+/* -------- Payment links (ticket buttons and the website) -------- */
+const ORDER_LINK_DAYS = Number(process.env.ORDER_LINK_DAYS || 7);
+
+// Signed token for the public order status endpoint; null when LINK_SECRET isn't set
+function orderToken(orderId) {
+  try {
+    return signToken("order", orderId, { days: ORDER_LINK_DAYS });
+  } catch {
+    return null;
+  }
+}
+
+// success/cancel pages, with the order ID and token so they can show the live status
+function orderPageUrl(page, order) {
+  const base = (process.env.PUBLIC_BASE_URL || "https://example.com").replace(/\/$/, "");
+  const token = orderToken(order.id);
+  return `${base}/${page}?order=${order.id}${token ? `&token=${encodeURIComponent(token)}` : ""}`;
+}
+
+// Takes the coupon hold again before a provider link exists (it may have lapsed), so a coupon that
+// filled up in the meantime throws here instead of leaving a discounted link open. startPayment extends it.
+function holdOrderCoupon(order) {
+  if (!order.pricing?.coupon?.code || order.pricing.couponUsedMarked) return;
+  reserveCouponUse(order.pricing.coupon.code, {
+    orderId: order.id,
+    userId: order.userId,
+    expiresAt: new Date(Date.now() + COUPON_HOLD_MINUTES * 60_000).toISOString(),
+  });
+}
+
+// Both store the link on the order (moving it to awaiting_payment) and return it
+async function createStripeLink(order, { actor }) {
+  holdOrderCoupon(order);
+  // Convert line items, then let the discount absorb coupon, store credit and rounding
+  const items = orderItems(order).map((it) => ({
+    ...it,
+    name: `${STORE_NAME} - ${it.name}`,
+    price: toOrderCurrency(order, it.price),
+  }));
+  if (order.pricing?.tax?.amount) {
+    const tax = order.pricing.tax;
+    items.push({ name: `VAT ${tax.rate}% (${tax.country})`, price: toOrderCurrency(order, tax.amount), qty: 1 });
+  }
+  const session = await createStripeCheckout({
+    env: process.env,
+    items,
+    currency: orderCurrency(order),
+    discount: Math.max(0, Number((cartSubtotal(items) - chargeTotal(order)).toFixed(2))),
+    orderId: order.id,
+    successUrl: orderPageUrl("success", order),
+    cancelUrl: orderPageUrl("cancel", order),
+    expiresInMinutes: order.source === "web" ? WEB_SESSION_MINUTES : null,
+  });
+
+  startPayment(
+    order.id,
+    {
+      method: "stripe",
+      provider: "stripe",
+      url: session.url,
+      transactionId: session.id,
+      expiresAt: session.expiresAt,
+    },
+    { actor, expiresAt: session.expiresAt }
+  );
+  return session;
+}
+
+async function createCryptoLink(order, { actor }) {
+  holdOrderCoupon(order);
+  const attempt = Number(order.payment?.cryptoAttempts || 0) + 1;
+
+  const inv = await createCryptomusInvoice({
+    amount: chargeTotal(order),
+    currency: orderCurrency(order),
+    orderId: attempt === 1 ? order.id : retryInvoiceId(order.id, attempt),
+    description: `${STORE_NAME} | ${itemsSummary(orderItems(order))}`,
+    successUrl: orderPageUrl("success", order),
+    callbackUrl: cryptomusCallbackUrl(),
+    env: process.env,
+  });
+
+  startPayment(
+    order.id,
+    {
+      method: "crypto",
+      provider: "cryptomus",
+      url: inv.url,
+      transactionId: inv.uuid,
+      cryptoAttempts: attempt,
+      expiresAt: inv.expiresAt,
+    },
+    { actor, expiresAt: inv.expiresAt }
+  );
+  return inv;
+}
+
+/* -------- Checkout (cart → order) -------- */
+// Prices the items from the live catalog and builds an unsaved order, shared by the Discord cart and the
+// website. Throws if an item is gone or short on stock; a coupon that doesn't apply is skipped and
+// reported as couponError. The coupon use is reserved for COUPON_HOLD_MINUTES.
+// verifiedUser: false when userId comes from a website form rather than a Discord interaction.
+function buildCheckoutOrder({
+  items: wanted,
+  userId,
+  userTag,
+  verifiedUser = true,
+  guildId = null,
+  channelId = null,
+  currency,
+  couponCode,
+  roleIds = [],
+  billing = null,
+}) {
+  // Re-price from the live catalog; products may have changed since they were added
+  const items = [];
+  for (const it of wanted) {
+    const prod = getProduct(it.id);
+    if (!prod || prod.archived) throw new Error(`**${it.name || it.id}** is no longer available. Remove it from your cart.`);
+    if (prod.stock !== null && it.qty > prod.stock) throw new Error(`Only ${prod.stock} × **${prod.name}** left. Lower the quantity.`);
+    items.push({ id: prod.id, name: prod.name, emoji: prod.emoji, price: Number(prod.price), qty: it.qty });
+  }
+
+  const orderId = uuid();
+  const subtotal = cartSubtotal(items);
+
+  const order = {
+    id: orderId,
+    status: "pending",
+    createdAt: new Date().toISOString(),
+    guildId,
+    channelId,
+    userId,
+    userTag,
+    items,
+    payment: { method: null, provider: null, url: null, transactionId: null, paidAmount: null },
+    pricing: { original: subtotal, discount: 0, total: subtotal, coupon: null, couponUsedMarked: false },
+    // Prices stay in the base currency; the buyer is charged in theirs at today's rate
+    currency: orderCurrencyFor(currency),
+  };
+
+  // ✅ Coupon rules are checked again against the final items
+  let coupon = null;
+  let couponError = null;
+  if (couponCode) {
+    try {
+      coupon = checkCoupon(couponCode, { userId, roleIds, items, verified: verifiedUser });
+      // Hold a use until the payment link is created (which extends it to the link's expiry)
+      reserveCouponUse(coupon.code, {
+        orderId,
+        userId,
+        expiresAt: new Date(Date.now() + COUPON_HOLD_MINUTES * 60_000).toISOString(),
+      });
+    } catch (e) {
+      coupon = null;
+      couponError = e.message;
+    }
+  }
+  if (coupon) {
+    const r = applyCouponToItems(items, coupon);
+    order.pricing = {
+      original: subtotal,
+      discount: r.discount,
+      total: r.total,
+      coupon: {
+        code: coupon.code,
+        type: coupon.type,
+        value: coupon.value,
+        maxUses: coupon.maxUses,
+        uses: coupon.uses,
+      },
+      couponUsedMarked: false,
+    };
+  }
+
+  // ✅ Tax on the discounted total, by the buyer's country (store credit is a payment, not a discount)
+  if (billing) {
+    const tax = computeTax({ ...billing, amount: order.pricing.total });
+    order.billing = { name: billing.name || null, country: tax.country, vatId: tax.vatId };
+    order.pricing.tax = { country: tax.country, rate: tax.rate, amount: tax.amount, reverseCharge: tax.reverseCharge };
+    order.pricing.total = Number((order.pricing.total + tax.amount).toFixed(2));
   }
-});
 
-/* -------- Button handlers -------- */
-client.on(Events.InteractionCreate, async (i) => {
-  if (!i.isButton()) return;
+  return { order, coupon, couponError };
+}
+
+// billing: { name, country, vatId } from the billing modal, or null when tax is disabled
+async function checkoutCart(i, billing = null) {
+  const cart = getCart(i.channelId);
+  if (!cart.items.length) return i.reply({ content: "⚠️ Your cart is empty.", ephemeral: true });
 
+  // ✅ The ticket's pending coupon applies once, to the next checkout
+  const pending = getPendingCoupon(i.channelId);
+  let built;
   try {
-    if (i.customId === "open_ticket") {
-      const existing = i.guild.channels.cache.find(
-        (c) => c.type === ChannelType.GuildText && c.name === `ticket-${i.user.id}`
-      );
-      if (existing) {
-        return i.reply({
-          content: `⚠️ You already have a ticket: <#${existing.id}>`,
-          ephemeral: true,
-        });
-      }
+    built = buildCheckoutOrder({
+      items: cart.items,
+      userId: i.user.id,
+      userTag: i.user.tag,
+      guildId: i.guildId,
+      channelId: i.channelId,
+      currency: displayCurrency({ guildId: i.guildId, userId: i.user.id }),
+      couponCode: pending?.code,
+      roleIds: [...(i.member?.roles?.cache?.keys() || [])],
+      billing,
+    });
+  } catch (e) {
+    return i.reply({ content: `⚠️ ${e.message}`, ephemeral: true });
+  }
+  const { order, coupon, couponError } = built;
+  const orderId = order.id;
 
-      const overwrites = [
-        { id: i.guild.roles.everyone.id, deny: [PermissionFlagsBits.ViewChannel] },
-        {
-          id: i.user.id,
-          allow: [
-            PermissionFlagsBits.ViewChannel,
-            PermissionFlagsBits.SendMessages,
-            PermissionFlagsBits.ReadMessageHistory,
-          ],
-        },
-      ];
-
-      if (process.env.SUPPORT_ROLE_ID) {
-        overwrites.push({
-          id: process.env.SUPPORT_ROLE_ID,
-          allow: [
-            PermissionFlagsBits.ViewChannel,
-            PermissionFlagsBits.SendMessages,
-            PermissionFlagsBits.ReadMessageHistory,
-          ],
-        });
-      }
+  if (pending?.code) {
+    if (couponError) await i.channel.send(`⚠️ Coupon **${pending.code}** was not applied: ${couponError}`);
+    if (coupon) {
+      await i.channel.send(
+        `🏷️ Coupon **${coupon.code}** applied to this order. New total: **${orderMoney(order, order.pricing.total)}**`
+      );
+    }
+    clearPendingCoupon(i.channelId);
+  }
 
-      if (process.env.OWNER_ID) {
-        overwrites.push({
-          id: process.env.OWNER_ID,
-          allow: [
-            PermissionFlagsBits.ViewChannel,
-            PermissionFlagsBits.SendMessages,
-            PermissionFlagsBits.ReadMessageHistory,
-            PermissionFlagsBits.ManageChannels,
-          ],
-        });
+  // ✅ Store credit is spent before anything goes to a payment provider, in the same transaction as the order
+  // so a failed insert can't eat the credit
+  try {
+    transaction(() => {
+      const credit = Math.min(getBalance(i.user.id), order.pricing.total);
+      if (credit > 0) {
+        adjustWallet(i.user.id, -credit, { reason: "checkout", actor: `customer:${i.user.id}`, orderId });
+        order.pricing.wallet = credit;
+        order.pricing.total = Number((order.pricing.total - credit).toFixed(2));
       }
+      createOrder(order, { actor: `customer:${i.user.id}` });
+    });
+  } catch (e) {
+    console.log("Checkout error:", e);
+    return i.reply({ content: "❌ Checkout failed. Your store credit was not used — please try again.", ephemeral: true });
+  }
 
-      const ticket = await i.guild.channels.create({
-        name: `ticket-${i.user.id}`,
-        type: ChannelType.GuildText,
-        parent: process.env.TICKET_CATEGORY_ID || null,
-        permissionOverwrites: overwrites,
-      });
-
-      // 1) Welcome
-      await ticket.send({ embeds: [welcomeEmbed(i.user)] });
-
-      // 2) Products buttons
-      const rows = [];
-      let row = new ActionRowBuilder();
-      let count = 0;
+  // The cart becomes the order; disable the old cart message so it can't be checked out twice
+  if (cart.messageId) {
+    const msg = await i.channel.messages.fetch(cart.messageId).catch(() => null);
+    if (msg) await msg.edit({ components: [] }).catch(() => {});
+  }
+  clearCart(i.channelId);
 
-      for (const p of products) {
-        if (count === 5) {
-          rows.push(row);
-          row = new ActionRowBuilder();
-          count = 0;
-        }
-        row.addComponents(
-          new ButtonBuilder()
-            .setCustomId(`choose_prod:${p.id}`)
-            .setLabel(`${p.name} (${money(p.price)})`)
-            .setEmoji(p.emoji)
-            .setStyle(ButtonStyle.Secondary)
-        );
-        count++;
-      }
-      if (count) rows.push(row);
+  // Fully covered by store credit: no payment provider needed
+  if (order.pricing.wallet && order.pricing.total <= 0) {
+    order.currency = orderCurrencyFor(baseCurrency());
+    upsertOrder({ id: orderId, currency: order.currency });
+    const paid = markPaid(
+      orderId,
+      { method: "wallet", provider: "wallet", transactionId: `wallet:${orderId}`, paidAmount: money(order.pricing.wallet) },
+      { actor: `customer:${i.user.id}`, reason: "paid with store credit" }
+    );
+    await i.reply({ content: "✅ Paid with your store credit.", ephemeral: true });
+    await notifyPaid(paid);
+    await deliverFromInventory(paid);
+    return;
+  }
 
-      await ticket.send({ embeds: [productsEmbed()], components: rows });
+  const payRow = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`pay_crypto:${orderId}`)
+      .setLabel("Crypto")
+      .setEmoji("🪙")
+      .setStyle(ButtonStyle.Success),
+    new ButtonBuilder()
+      .setCustomId(`pay_stripe:${orderId}`)
+      .setLabel("Stripe")
+      .setEmoji("💳")
+      .setStyle(ButtonStyle.Primary)
+  );
 
-      // 3) ✅ Coupon message ONCE only (after welcome + products)
-      await ticket.send({ content: "Have a discount code? Apply it here:", components: [couponRow()] });
+  await i.channel.send({ embeds: [paymentMethodsEmbed(order)], components: [payRow] });
+  await i.reply({ content: "✅ Choose payment method below.", ephemeral: true });
+}
 
-      await i.reply({ content: `✅ Ticket created: <#${ticket.id}>`, ephemeral: true });
-      return;
-    }
+/* -------- Cart quantity select + modal -------- */
+client.on(Events.InteractionCreate, async (i) => {
+  try {
+    if (i.isStringSelectMenu() && i.customId === "cart_edit") {
+      const prodId = i.values[0];
+      const item = getCart(i.channelId).items.find((x) => x.id === prodId);
+      if (!item) return i.reply({ content: "⚠️ That item is no longer in your cart.", ephemeral: true });
 
-    if (i.customId === "open_coupon") {
-      const modal = new ModalBuilder().setCustomId("coupon_modal").setTitle("Apply Coupon");
-      const codeInput = new TextInputBuilder()
-        .setCustomId("coupon_code")
-        .setLabel("Coupon code")
+      const modal = new ModalBuilder().setCustomId(`cart_qty_modal:${prodId}`).setTitle(`Quantity — ${item.name}`.slice(0, 45));
+      const qtyInput = new TextInputBuilder()
+        .setCustomId("cart_qty")
+        .setLabel("Quantity (0 removes the item)")
         .setStyle(TextInputStyle.Short)
+        .setValue(String(item.qty))
+        .setMaxLength(2)
         .setRequired(true);
 
-      modal.addComponents(new ActionRowBuilder().addComponents(codeInput));
+      modal.addComponents(new ActionRowBuilder().addComponents(qtyInput));
       await i.showModal(modal);
       return;
     }
 
-    if (i.customId.startsWith("choose_prod:")) {
+    if (i.isModalSubmit() && i.customId.startsWith("cart_qty_modal:")) {
       const prodId = i.customId.split(":")[1];
-      const prod = products.find((p) => p.id === prodId);
-      if (!prod) return i.reply({ content: "❌ Product not found.", ephemeral: true });
-
-      const orderId = uuid();
-
-      const order = {
-        id: orderId,
-        status: "pending",
-        createdAt: new Date().toISOString(),
-        guildId: i.guildId,
-        channelId: i.channelId,
-        userId: i.user.id,
-        userTag: i.user.tag,
-        product: { id: prod.id, name: prod.name, price: prod.price },
-        payment: { method: null, provider: null, url: null, transactionId: null, paidAmount: null },
-        pricing: { original: prod.price, discount: 0, total: prod.price, coupon: null, couponUsedMarked: false },
-      };
-
-      // ✅ Apply coupon to the NEXT product (pending per ticket)
-      const pending = getPendingCoupon(i.channelId);
-      if (pending?.code) {
-        const coupon = findCoupon(pending.code);
-        if (coupon) {
-          const r = applyCouponToAmount(Number(prod.price), coupon);
-          order.pricing = {
-            original: Number(prod.price),
-            discount: r.discount,
-            total: r.total,
-            coupon: {
-              code: coupon.code,
-              type: coupon.type,
-              value: coupon.value,
-              maxUses: coupon.maxUses,
-              uses: coupon.uses,
-            },
-            couponUsedMarked: false,
-          };
-          clearPendingCoupon(i.channelId); // apply once to the next chosen product
-          await i.channel.send(
-            `🏷️ Coupon **${coupon.code}** applied to this order. New total: **$${r.total.toFixed(2)}**`
-          );
-        } else {
-          clearPendingCoupon(i.channelId);
-        }
-      }
+      const raw = i.fields.getTextInputValue("cart_qty")?.trim();
+
+      setCartQty(i.channelId, prodId, raw);
+      await refreshCartMessage(i.channel);
+      await i.reply({ content: "✅ Cart updated.", ephemeral: true });
+    }
+  } catch (e) {
+    console.log("Cart error:", e);
+    try {
+      await i.reply({ content: `❌ ${e.message}`, ephemeral: true });
+    } catch {}
+  }
+});
 
-      upsertOrder(order);
+/* -------- Ticket panel select + intake modal -------- */
+client.on(Events.InteractionCreate, async (i) => {
+  const isSelect = i.isStringSelectMenu() && i.customId === "open_ticket_select";
+  const isIntake = i.isModalSubmit() && i.customId.startsWith("ticket_intake:");
+  if (!isSelect && !isIntake) return;
 
-      const payRow = new ActionRowBuilder().addComponents(
-        new ButtonBuilder()
-          .setCustomId(`pay_crypto:${orderId}`)
-          .setLabel("Crypto")
-          .setEmoji("🪙")
-          .setStyle(ButtonStyle.Success),
-        new ButtonBuilder()
-          .setCustomId(`pay_stripe:${orderId}`)
-          .setLabel("Stripe")
-          .setEmoji("💳")
-          .setStyle(ButtonStyle.Primary)
-      );
+  try {
+    const type = getTicketType(isSelect ? i.values[0] : i.customId.split(":")[1]);
+    if (!type) return i.reply({ content: "❌ This ticket type no longer exists.", ephemeral: true });
 
-      await i.channel.send({ embeds: [paymentMethodsEmbed(prod, order)], components: [payRow] });
-      await i.reply({ content: "✅ Choose payment method below.", ephemeral: true });
+    if (isSelect && type.questions.length) {
+      await i.showModal(intakeModal(type));
       return;
     }
 
-    if (i.customId.startsWith("pay_crypto:")) {
-      const orderId = i.customId.split(":")[1];
-      const order = getOrderById(orderId);
-      if (!order) return i.reply({ content: "❌ Order not found.", ephemeral: true });
-      if (order.status === "paid") return i.reply({ content: "✅ Already paid.", ephemeral: true });
-
-      const amountUsd = order.pricing?.total ?? order.product.price;
+    const answers = isIntake
+      ? type.questions.map((q) => ({ label: q.label, value: i.fields.getTextInputValue(q.id)?.trim() }))
+      : [];
+    await openTicketChannel(i, type, answers);
+  } catch (e) {
+    console.log("Ticket open error:", e);
+    try {
+      await i.reply({ content: `❌ ${e.message}`, ephemeral: true });
+    } catch {}
+  }
+});
 
-      const cb = (process.env.PUBLIC_BASE_URL || "").replace(/\/$/, "") + "/webhook/cryptomus";
-      const inv = await createCryptomusInvoice({
-        amountUsd,
-        orderId: order.id,
-        description: `${STORE_NAME} | ${order.product.name}`,
-        successUrl: process.env.PUBLIC_BASE_URL || undefined,
-        callbackUrl: cb.includes("http") ? cb : undefined,
-        env: process.env,
-      });
+/* -------- Ticket transfer (user select) -------- */
+client.on(Events.InteractionCreate, async (i) => {
+  if (!i.isUserSelectMenu() || i.customId !== "ticket_transfer_to") return;
 
-      upsertOrder({
-        ...order,
-        payment: {
-          ...order.payment,
-          method: "crypto",
-          provider: "cryptomus",
-          url: inv.url,
-          transactionId: inv.uuid,
-        },
-      });
+  try {
+    const ticket = ticketRecord(i.channel);
+    if (!ticket) return i.reply({ content: "❌ This isn't a ticket.", ephemeral: true });
+    if (ticket.assigneeId !== i.user.id && !isOwnerOrAdmin(i.member, i.user.id)) {
+      return i.reply({ content: "❌ Only the assignee or an admin can do that.", ephemeral: true });
+    }
 
-      const linkRow = new ActionRowBuilder().addComponents(
-        new ButtonBuilder().setLabel("Pay Now").setStyle(ButtonStyle.Link).setURL(inv.url)
-      );
+    const target = await i.guild.members.fetch(i.values[0]).catch(() => null);
+    if (!target || target.user.bot || !isStaffFor(target, target.id, ticket.type)) {
+      return i.reply({ content: "❌ Pick a staff member.", ephemeral: true });
+    }
 
-      await i.channel.send({ embeds: [paymentInstructionsEmbed("crypto", order)], components: [linkRow] });
-      await i.reply({ content: "✅ Payment link sent.", ephemeral: true });
-      return;
+    const from = ticket.assigneeId;
+    const updated = transferTicket(ticket.channelId, target.id);
+    tagTicketChannel(i.channel, updated);
+    if (updated.controlMessageId) {
+      const msg = await i.channel.messages.fetch(updated.controlMessageId).catch(() => null);
+      if (msg) await msg.edit({ content: staffControlText(updated), components: [staffRow(updated)] }).catch(() => {});
     }
+    await i.update({ content: `✅ Transferred to ${target}.`, components: [] });
+    await i.channel.send(`🔁 Ticket transferred from <@${from}> to ${target}.`);
+  } catch (e) {
+    console.log("Ticket transfer error:", e);
+    try {
+      await i.reply({ content: `❌ ${e.message}`, ephemeral: true });
+    } catch {}
+  }
+});
 
-    if (i.customId.startsWith("pay_stripe:")) {
-      const orderId = i.customId.split(":")[1];
-      const order = getOrderById(orderId);
-      if (!order) return i.reply({ content: "❌ Order not found.", ephemeral: true });
-      if (order.status === "paid") return i.reply({ content: "✅ Already paid.", ephemeral: true });
+/* -------- /myorders invoice download -------- */
+client.on(Events.InteractionCreate, async (i) => {
+  if (!i.isStringSelectMenu() || i.customId !== "myorders_invoice") return;
 
-      const amountUsd = order.pricing?.total ?? order.product.price;
-      const base = process.env.PUBLIC_BASE_URL || "https://example.com";
+  try {
+    const order = getOrderById(i.values[0]);
+    if (!order || order.userId !== i.user.id) return i.reply({ content: "❌ Order not found.", ephemeral: true });
+    if (!order.paidAt) return i.reply({ content: "⚠️ This order has no invoice yet.", ephemeral: true });
 
-      const successUrl = base.replace(/\/$/, "") + `/success?order=${order.id}`;
-      const cancelUrl = base.replace(/\/$/, "") + `/cancel?order=${order.id}`;
+    await i.deferReply({ ephemeral: true });
+    const pdfPath = await ensureInvoice(order);
+    logOrderAction(order.id, { actor: `customer:${i.user.id}`, action: "invoice downloaded" });
+    await i.editReply({ content: `🧾 Invoice for order \`${order.id}\`.`, files: [pdfPath] });
+  } catch (e) {
+    console.log("myorders error:", e);
+    try {
+      if (i.deferred) await i.editReply(`❌ ${e.message}`);
+      else await i.reply({ content: `❌ ${e.message}`, ephemeral: true });
+    } catch {}
+  }
+});
 
-      const session = await createStripeCheckout({
-        env: process.env,
-        amountUsd,
-        orderId: order.id,
-        productName: `${STORE_NAME} - ${order.product.name}`,
-        successUrl,
-        cancelUrl,
-      });
+/* -------- Billing details modal submit (checks out the cart) -------- */
+client.on(Events.InteractionCreate, async (i) => {
+  if (!i.isModalSubmit() || i.customId !== "billing_modal") return;
 
-      upsertOrder({
-        ...order,
-        payment: {
-          ...order.payment,
-          method: "stripe",
-          provider: "stripe",
-          url: session.url,
-          transactionId: session.id,
-        },
-      });
+  try {
+    const input = {
+      country: i.fields.getTextInputValue("billing_country")?.trim(),
+      vatId: i.fields.getTextInputValue("billing_vat")?.trim() || null,
+      name: i.fields.getTextInputValue("billing_name")?.trim() || null,
+    };
 
-      const linkRow = new ActionRowBuilder().addComponents(
-        new ButtonBuilder().setLabel("Pay Now").setStyle(ButtonStyle.Link).setURL(session.url)
-      );
+    // Validates the country and VAT ID format; store them normalized for next time
+    const checked = computeTax({ ...input, amount: 0 });
+    const billing = saveBillingProfile(i.user.id, { name: input.name, country: checked.country, vatId: checked.vatId });
 
-      await i.channel.send({ embeds: [paymentInstructionsEmbed("stripe", order)], components: [linkRow] });
-      await i.reply({ content: "✅ Checkout link sent.", ephemeral: true });
-      return;
-    }
+    await checkoutCart(i, billing);
   } catch (e) {
-    console.log("Button error:", e);
+    console.log("Billing error:", e);
     try {
-      await i.reply({ content: `❌ Error: ${e.message}`, ephemeral: true });
+      await i.reply({ content: `❌ ${e.message}`, ephemeral: true });
     } catch {}
   }
 });
 
-/* -------- Coupon modal submit (SAVES for next product) -------- */
+/* -------- Coupon modal submit (SAVES for checkout) -------- */
 client.on(Events.InteractionCreate, async (i) => {
   if (!i.isModalSubmit()) return;
   if (i.customId !== "coupon_modal") return;
 
   const code = i.fields.getTextInputValue("coupon_code")?.trim();
-  const coupon = findCoupon(code);
+  const cart = getCart(i.channelId);
 
-  if (!coupon) {
-    await i.reply({ content: "❌ Invalid / expired coupon code.", ephemeral: true });
+  let coupon;
+  try {
+    coupon = checkCoupon(code, {
+      userId: i.user.id,
+      roleIds: [...(i.member?.roles?.cache?.keys() || [])],
+      items: cart.items.length ? cart.items : undefined,
+    });
+  } catch (e) {
+    await i.reply({ content: `❌ ${e.message}`, ephemeral: true });
     return;
   }
 
-  // ✅ Save for NEXT chosen product in this ticket
+  // ✅ Save for the next checkout in this ticket
   setPendingCoupon(i.channelId, {
     code: coupon.code,
     type: coupon.type,
@@ -745,51 +3638,337 @@ client.on(Events.InteractionCreate, async (i) => {
   });
 
   await i.reply({
-    content: `✅ Coupon saved for your next product: **${coupon.code}**\nNow select a product and it will be applied automatically.`,
+    content: `✅ Coupon saved: **${coupon.code}**\nIt will be applied to your cart when you check out.`,
     ephemeral: true,
   });
 
-  await i.channel.send(`🏷️ Coupon **${coupon.code}** saved. It will be applied to the next selected product.`);
+  await i.channel.send(`🏷️ Coupon **${coupon.code}** saved. It will be applied to the cart at checkout.`);
+  await refreshCartMessage(i.channel);
 });
 
 /* -------- Paid notification -------- */
+// Website orders have no ticket: the notice goes to WEB_ORDERS_CHANNEL_ID (or LOG_CHANNEL_ID) and the buyer gets a DM
 async function notifyPaid(order) {
   try {
-    const ch = await client.channels.fetch(order.channelId).catch(() => null);
+    const web = order.source === "web";
+    const chId = web ? process.env.WEB_ORDERS_CHANNEL_ID || process.env.LOG_CHANNEL_ID : order.channelId;
+    const ch = chId ? await client.channels.fetch(chId).catch(() => null) : null;
+    if (web && order.userId) {
+      const user = await client.users.fetch(order.userId).catch(() => null);
+      if (user) {
+        await user
+          .send({
+            content: `✅ Payment received for your **${STORE_NAME}** order \`${order.id}\`. Here is your invoice.`,
+            files: [await generateInvoice(order)],
+          })
+          .catch(() => {});
+      }
+    }
     if (!ch) return;
 
-    const total = order.pricing?.total ?? order.product.price;
+    const items = orderItems(order);
+    const total = order.pricing?.total ?? cartSubtotal(items);
 
     const embed = new EmbedBuilder()
       .setTitle("✅ Payment Received")
       .setDescription(
         [
           `**Order ID:** \`${order.id}\``,
-          `**Product:** ${order.product.name}`,
-          `**Amount:** ${money(total)}`,
+          web ? `**Website order** — buyer: ${buyerMention(order)}` : "",
+          ...itemLines(items, (n) => orderMoney(order, n)),
+          `**Amount:** ${orderMoney(order, total)}`,
           order?.pricing?.coupon?.code ? `**Coupon:** \`${order.pricing.coupon.code}\`` : "",
           `**Method:** ${order.payment.method}`,
+          order.pricing?.walletShortfall
+            ? `⚠️ **Paid after cancellation:** ${orderMoney(order, order.pricing.walletShortfall)} of store credit could not be taken again — collect it before delivering.`
+            : "",
           "",
-          "Owner can deliver and close with `+dn`.",
-          "Or close silently with `+close`.",
+          "Staff can mark it as being worked on with **Start Work**.",
+          ...(web
+            ? ["Deliver it to the buyer by DM; there is no ticket for this order."]
+            : ["Owner can deliver and close with `+dn`.", "Or close silently with `+close`."]),
         ]
           .filter(Boolean)
           .join("\n")
       );
 
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`order_start:${order.id}`)
+        .setLabel("Start Work")
+        .setEmoji("🛠️")
+        .setStyle(ButtonStyle.Secondary)
+    );
+
+    // Ping whoever claimed the ticket; unclaimed tickets go to the owner
+    const assigneeId = order.channelId ? getTicket(order.channelId)?.assigneeId : null;
+    const ping = assigneeId || process.env.OWNER_ID;
     await ch.send({
       embeds: [embed],
-      content: process.env.OWNER_ID ? `<@${process.env.OWNER_ID}>` : undefined,
+      components: [row],
+      content: ping ? `<@${ping}>` : undefined,
     });
   } catch (e) {
     console.log("notifyPaid error:", e);
   }
 }
 
+/* -------- Automatic delivery from inventory -------- */
+const LOW_STOCK_THRESHOLD = Number(process.env.LOW_STOCK_THRESHOLD || 3);
+
+const inventoryLine = (it) => (it.kind === "file" ? `📎 ${it.fileName}` : `\`${it.value}\``);
+
+// Runs after payment. Orders made only of auto-deliver products are delivered right away;
+// anything the pool can't cover is left for staff.
+async function deliverFromInventory(order) {
+  try {
+    const items = orderItems(order);
+
+    // A website order without a Discord ID has nowhere to send keys to: leave it to staff
+    if (!order.channelId && !order.userId) {
+      if (items.some((it) => getProduct(it.id)?.autoDeliver)) {
+        await notifyOrderEvent(order, "📦 Manual Delivery Needed", [
+          "Website order without a Discord ID — nothing was delivered automatically.",
+        ]);
+      }
+      return;
+    }
+
+    // Paid after cancellation with store credit already spent elsewhere: staff collect the rest first
+    if (Number(order.pricing?.walletShortfall) > 0) {
+      if (items.some((it) => getProduct(it.id)?.autoDeliver)) {
+        await notifyOrderEvent(order, "📦 Manual Delivery Needed", [
+          `${orderMoney(order, order.pricing.walletShortfall)} of store credit is still owed — nothing was delivered automatically.`,
+        ]);
+      }
+      return;
+    }
+
+    const { claimed, missing, stock } = claimInventory(order, items);
+    if (!claimed.length && !missing.length) return;
+
+    if (missing.length) {
+      await notifyOrderEvent(order, "⚠️ Not Enough Stock", [
+        ...missing.map((m) => `**${m.name}:** ${m.qty} unit(s) could not be delivered automatically`),
+        "Staff will deliver these manually.",
+      ]);
+    }
+
+    for (const s of stock) {
+      if (s.available > LOW_STOCK_THRESHOLD || !process.env.LOG_CHANNEL_ID) continue;
+      const logCh = await client.channels.fetch(process.env.LOG_CHANNEL_ID).catch(() => null);
+      if (logCh) {
+        await logCh
+          .send(s.available ? `⚠️ Low stock: **${s.name}** (\`${s.id}\`) — ${s.available} left.` : `🚫 **${s.name}** (\`${s.id}\`) is sold out.`)
+          .catch(() => {});
+      }
+    }
+
+    if (!claimed.length) return;
+
+    const byProduct = items
+      .map((it) => ({ it, list: claimed.filter((c) => c.productId === it.id) }))
+      .filter((x) => x.list.length);
+    const body = byProduct.map(({ it, list }) => [`**${it.name}**`, ...list.map(inventoryLine)].join("\n")).join("\n\n");
+    const files = claimed.filter((c) => c.kind === "file").map((c) => ({ attachment: c.value, name: c.fileName }));
+
+    const autoOnly = !missing.length && items.every((it) => getProduct(it.id)?.autoDeliver);
+    let current = logOrderAction(order.id, {
+      actor: "system",
+      action: "auto_delivered",
+      reason: `${claimed.length} item(s) from inventory`,
+      patch: { delivery: { inventoryIds: claimed.map((c) => c.id), at: new Date().toISOString() } },
+    });
+
+    const embed = new EmbedBuilder()
+      .setTitle("📦 Your Order Is Here")
+      .setDescription(`**Order ID:** \`${order.id}\`\n\n${body}`.slice(0, 4000));
+
+    const ticket = order.channelId ? await client.channels.fetch(order.channelId).catch(() => null) : null;
+    const inTicket = ticket
+      ? await ticket
+          .send({ content: `<@${order.userId}>`, embeds: [embed], files })
+          .then(() => true)
+          .catch(() => false)
+      : false;
+
+    const user = order.userId ? await client.users.fetch(order.userId).catch(() => null) : null;
+    const byDm = user
+      ? await user
+          .send({ embeds: [embed], files })
+          .then(() => true)
+          .catch(() => false)
+      : false;
+
+    // Only delivered once the buyer actually has the items
+    if (!inTicket && !byDm) {
+      await notifyOrderEvent(order, "📦 Manual Delivery Needed", [
+        "The items were taken from inventory but couldn't be sent to the buyer (no ticket and DMs closed).",
+        `Send them by hand (inventory IDs: ${claimed.map((c) => c.id).join(", ")}).`,
+      ]);
+      return;
+    }
+    if (autoOnly && DELIVERABLE_STATUSES.has(current.status)) {
+      current = transitionOrder(order.id, "delivered", { actor: "system", reason: "delivered from inventory" });
+      if (user) await user.send({ files: [await generateInvoice(current)] }).catch(() => {});
+    }
+  } catch (e) {
+    console.log("deliverFromInventory error:", e);
+  }
+}
+
+/* -------- Order status notices (ticket + LOG_CHANNEL_ID) -------- */
+// components (e.g. a retry button) are only posted in the ticket
+async function notifyOrderEvent(order, title, lines, { log = true, components = [] } = {}) {
+  try {
+    const embed = new EmbedBuilder()
+      .setTitle(title)
+      .setDescription(
+        [`**Order ID:** \`${order.id}\``, `**Buyer:** ${buyerMention(order)}`, ...lines].filter(Boolean).join("\n")
+      );
+
+    const ticket = await client.channels.fetch(order.channelId).catch(() => null);
+    if (ticket) await ticket.send({ embeds: [embed], components }).catch(() => {});
+
+    if (log && process.env.LOG_CHANNEL_ID) {
+      const logCh = await client.channels.fetch(process.env.LOG_CHANNEL_ID).catch(() => null);
+      if (logCh) await logCh.send({ embeds: [embed] }).catch(() => {});
+    }
+  } catch (e) {
+    console.log("notifyOrderEvent error:", e);
+  }
+}
+
+/* -------- Invoice PDF -------- */
+const invoiceStamp = (order) =>
+  order.status === "refunded" ? "REFUNDED" : order.status === "partially_refunded" ? "PARTIALLY REFUNDED" : order.paidAt ? "PAID" : null;
+
+// The number is issued once per order; regenerating (e.g. after a refund) redraws the same invoice with a new stamp
+async function generateInvoice(order) {
+  const record = issueInvoiceNumber(order.id, { amount: chargeTotal(order), currency: orderCurrency(order) });
+  const pdfPath = path.resolve(`./invoices/${record.number}.pdf`);
+
+  // Invoices show the amounts the buyer was charged, in their currency
+  const conv = (n) => toOrderCurrency(order, n);
+  const items = orderItems(order).map((it) => ({ ...it, price: conv(it.price) }));
+  const total = chargeTotal(order);
+
+  await createInvoicePDF(
+    {
+      storeName: STORE_NAME,
+      orderId: order.id,
+      invoiceId: record.number,
+      stamp: invoiceStamp(order),
+      buyerTag: order.userTag,
+      buyerId: order.userId,
+      items,
+      currency: orderCurrency(order),
+      subtotal: order.pricing?.original !== undefined ? conv(order.pricing.original) : cartSubtotal(items),
+      discount: conv(order.pricing?.discount || 0),
+      couponCode: order.pricing?.coupon?.code || null,
+      wallet: conv(order.pricing?.wallet || 0),
+      walletBalance: order.pricing?.wallet ? conv(getBalance(order.userId)) : null,
+      tax: order.pricing?.tax ? { ...order.pricing.tax, amount: conv(order.pricing.tax.amount) } : null,
+      billing: order.billing || null,
+      amount: total,
+      paymentMethod: order.payment.method || "-",
+      paymentAmount: order.payment.paidAmount || money(total, orderCurrency(order)),
+      transactionId: order.payment.transactionId || "-",
+      createdAt: record.issuedAt,
+    },
+    pdfPath
+  );
+
+  return pdfPath;
+}
+
+// Reuses the stored PDF; regenerates it when the file in ./invoices is gone or was never made
+async function ensureInvoice(order) {
+  const record = getInvoiceRecord(order.id);
+  const file = record && path.resolve(`./invoices/${record.number}.pdf`);
+  if (file && fs.existsSync(file)) return file;
+  return generateInvoice(order);
+}
+
+// One credit note per refund step. `before` is the order as it was before markRefunded, so the
+// note covers only what this refund added; replaying the same refund returns the same number.
+async function issueCreditNote(before, after, { reason } = {}) {
+  const refunded = Number(((after.refund?.amount || 0) - (before.refund?.amount || 0)).toFixed(2));
+  if (!(refunded > 0)) return null;
+
+  try {
+    const cur = orderCurrency(after);
+    const invoice = issueInvoiceNumber(after.id, { amount: chargeTotal(after), currency: cur });
+    const record = issueInvoiceNumber(after.id, {
+      kind: "credit_note",
+      ref: after.refund.amount,
+      amount: refunded,
+      currency: cur,
+    });
+    const pdfPath = path.resolve(`./invoices/${record.number}.pdf`);
+
+    // VAT included in the refund, in proportion to what was charged
+    const tax = after.pricing?.tax;
+    const charged = chargeTotal(after) + toOrderCurrency(after, after.pricing?.wallet || 0);
+    const taxShare = tax?.amount && charged > 0 ? Number(((refunded * toOrderCurrency(after, tax.amount)) / charged).toFixed(2)) : 0;
+
+    await createInvoicePDF(
+      {
+        kind: "credit_note",
+        storeName: STORE_NAME,
+        orderId: after.id,
+        invoiceId: record.number,
+        relatedInvoice: invoice.number,
+        reason: reason || null,
+        buyerTag: after.userTag,
+        buyerId: after.userId,
+        items: [{ name: `Refund for invoice ${invoice.number}`, price: refunded, qty: 1 }],
+        currency: cur,
+        tax: taxShare ? { rate: tax.rate, amount: taxShare } : null,
+        billing: after.billing || null,
+        amount: refunded,
+        transactionId: after.refund?.refundId || after.payment?.transactionId || "-",
+        createdAt: record.issuedAt,
+      },
+      pdfPath
+    );
+
+    logOrderAction(after.id, { actor: "system", action: "credit note issued", reason: record.number });
+    await generateInvoice(after); // re-stamp the original invoice as (partially) refunded
+    const user = await client.users.fetch(after.userId).catch(() => null);
+    if (user) {
+      await user
+        .send({ content: `🧾 Credit note from **${STORE_NAME}** (Order: \`${after.id}\`).`, files: [pdfPath] })
+        .catch(() => {});
+    }
+    return pdfPath;
+  } catch (e) {
+    console.log("issueCreditNote error:", e);
+    return null;
+  }
+}
+
+/* -------- Ticket close: settle every order in the channel -------- */
+// Delivered orders are closed, orders that never got paid are cancelled (or `unpaid`, where the lifecycle allows it,
+// e.g. pending → expired); anything else keeps its status.
+function closeChannelOrders(channelId, actor, { unpaid = "cancelled", reason = "ticket closed unpaid" } = {}) {
+  for (const o of getOrdersByChannelId(channelId)) {
+    try {
+      if (o.status === "delivered") transitionOrder(o.id, "closed", { actor, reason: "ticket closed" });
+      else if (UNPAID_STATUSES.has(o.status)) {
+        // Its ticket is gone, so the credit it held goes back even when it only expires
+        transitionOrder(o.id, canTransition(o.status, unpaid) ? unpaid : "cancelled", { actor, reason, returnCredit: true });
+      }
+    } catch (e) {
+      console.log("closeChannelOrders error:", e);
+    }
+  }
+}
+
 /* -------- +dn / +close -------- */
 client.on(Events.MessageCreate, async (m) => {
   if (!m.guild) return;
-  if (!m.channel?.name?.startsWith("ticket-")) return;
+  if (!getTicket(m.channel.id)) return;
 
   const cmd = m.content?.trim();
   if (cmd !== "+dn" && cmd !== "+close") return;
@@ -798,18 +3977,21 @@ client.on(Events.MessageCreate, async (m) => {
   const hasManage = m.member?.permissions?.has(PermissionFlagsBits.ManageChannels);
   if (!isOwner && !hasManage) return;
 
-  const order = getOrderByChannelId(m.channel.id);
+  const actor = `staff:${m.author.id}`;
+  let order = getOrderByChannelId(m.channel.id);
 
   // ✅ +close: close silently (NO invoice, NO order summary log, NO DM invoice)
   if (cmd === "+close") {
     await m.channel.send("✅ Ticket will close in **10 seconds**…");
-    await sendTranscriptToLog(m.channel);
-    setTimeout(() => m.channel.delete().catch(() => {}), 10_000);
+    clearCart(m.channel.id);
+    closeChannelOrders(m.channel.id, actor);
+    closeTicket(m.channel.id);
+    await archiveAndDeleteTicket(m.channel);
     return;
   }
 
   // +dn: keep your original safety (double +dn to force close if not paid)
-  if (order && order.status !== "paid") {
+  if (order && !DELIVERABLE_STATUSES.has(order.status) && order.status !== "delivered") {
     const forceKey = `_force_${m.channel.id}`;
     globalThis[forceKey] = (globalThis[forceKey] || 0) + 1;
     if (globalThis[forceKey] < 2) {
@@ -819,29 +4001,14 @@ client.on(Events.MessageCreate, async (m) => {
   }
 
   await m.channel.send("✅ Ticket will close in **10 seconds**…");
+  clearCart(m.channel.id);
 
-  if (order) {
-    const invoiceId = `INV-${order.id.slice(0, 8).toUpperCase()}`;
-    const pdfPath = path.resolve(`./invoices/${invoiceId}.pdf`);
-
-    const total = order.pricing?.total ?? order.product.price;
+  if (order && DELIVERABLE_STATUSES.has(order.status)) {
+    order = transitionOrder(order.id, "delivered", { actor, reason: "+dn" });
+    const pdfPath = await generateInvoice(order);
 
-    await createInvoicePDF(
-      {
-        storeName: STORE_NAME,
-        orderId: order.id,
-        invoiceId,
-        buyerTag: order.userTag,
-        buyerId: order.userId,
-        productName: order.product.name,
-        amountUsd: total,
-        paymentMethod: order.payment.method || "-",
-        paymentAmount: order.payment.paidAmount || money(total),
-        transactionId: order.payment.transactionId || "-",
-        createdAt: new Date().toISOString(),
-      },
-      pdfPath
-    );
+    const items = orderItems(order);
+    const total = order.pricing?.total ?? cartSubtotal(items);
 
     const user = await client.users.fetch(order.userId).catch(() => null);
     if (user) {
@@ -863,10 +4030,10 @@ client.on(Events.MessageCreate, async (m) => {
             [
               `**Buyer:** <@${order.userId}> (${order.userTag})`,
               `**Order ID:** \`${order.id}\``,
-              `**Product:** ${order.product.name}`,
+              ...itemLines(items, (n) => orderMoney(order, n)),
               order?.pricing?.coupon?.code ? `**Coupon:** \`${order.pricing.coupon.code}\`` : "",
               `**Payment:** ${order.payment.method}`,
-              `**Amount:** ${money(total)}`,
+              `**Amount:** ${orderMoney(order, total)}`,
             ]
               .filter(Boolean)
               .join("\n")
@@ -876,10 +4043,99 @@ client.on(Events.MessageCreate, async (m) => {
     }
   }
 
+  closeChannelOrders(m.channel.id, actor);
+  closeTicket(m.channel.id);
+
   // ✅ Always send transcript to second log channel
-  await sendTranscriptToLog(m.channel);
+  await archiveAndDeleteTicket(m.channel);
+});
 
-  setTimeout(() => m.channel.delete().catch(() => {}), 10_000);
+/* -------- Ticket inactivity -------- */
+const INACTIVITY_CHECK_MS = 5 * 60_000;
+let checkingIdle = false;
+
+// Customer and staff activity restarts the schedule; the bot's own messages don't
+client.on(Events.MessageCreate, (m) => {
+  if (!m.guild || m.author?.bot) return;
+  try {
+    touchTicket(m.channel.id);
+  } catch (e) {
+    console.log("touchTicket error:", e);
+  }
+});
+
+client.on(Events.InteractionCreate, (i) => {
+  if (!i.guild || !(i.isMessageComponent() || i.isModalSubmit())) return;
+  try {
+    touchTicket(i.channelId);
+  } catch (e) {
+    console.log("touchTicket error:", e);
+  }
+});
+
+async function closeIdleTicket(channel, ticket) {
+  await channel.send("🔒 Closing this ticket due to inactivity…").catch(() => {});
+  clearCart(channel.id);
+  closeChannelOrders(channel.id, "system", { unpaid: "expired", reason: "ticket inactive" });
+  closeTicket(channel.id);
+  console.log(`Ticket ${channel.id} of ${ticket.userId} closed for inactivity.`);
+  await archiveAndDeleteTicket(channel);
+}
+
+// Reminder → warning → close. Each step waits at least the configured gap after the previous one,
+// so a restart after a long downtime still warns before it closes.
+async function checkIdleTickets(now = Date.now()) {
+  const conf = getInactivityConfig();
+  if (!conf.enabled || checkingIdle) return;
+  checkingIdle = true;
+
+  try {
+    for (const t of idleTickets(new Date(now - conf.remindAfterMs).toISOString())) {
+      const idle = now - Date.parse(t.lastActivityAt || t.openedAt);
+      const sinceLast = t.reminderAt ? now - Date.parse(t.reminderAt) : Infinity;
+
+      // Money arrived: staff still has to deliver, so the ticket must stay
+      if (getOrdersByChannelId(t.channelId).some((o) => DELIVERABLE_STATUSES.has(o.status) || o.status === "partially_paid")) {
+        continue;
+      }
+
+      const channel = await client.channels.fetch(t.channelId).catch(() => null);
+      if (!channel) {
+        closeTicket(t.channelId);
+        continue;
+      }
+
+      try {
+        if (t.reminderStage === 0) {
+          await channel.send(
+            t.type === PURCHASE_TYPE
+              ? `⏰ <@${t.userId}> are you still there? Pick a product or send a message to keep this ticket open.`
+              : `⏰ <@${t.userId}> do you still need help? Send a message to keep this ticket open.`
+          );
+          setReminderStage(t.channelId, 1);
+        } else if (t.reminderStage === 1 && idle >= conf.warnAfterMs && sinceLast >= conf.warnAfterMs - conf.remindAfterMs) {
+          const closeAt = Math.floor((now + conf.closeAfterMs - conf.warnAfterMs) / 1000);
+          await channel.send(`⚠️ <@${t.userId}> this ticket will close <t:${closeAt}:R> due to inactivity.`);
+          setReminderStage(t.channelId, 2);
+        } else if (t.reminderStage === 2 && sinceLast >= conf.closeAfterMs - conf.warnAfterMs) {
+          await closeIdleTicket(channel, t);
+        }
+      } catch (e) {
+        console.log(`Inactivity check error (${t.channelId}):`, e);
+      }
+    }
+  } finally {
+    checkingIdle = false;
+  }
+}
+
+// Tickets deleted by hand are closed too
+client.on(Events.ChannelDelete, (channel) => {
+  try {
+    closeTicket(channel.id);
+  } catch (e) {
+    console.log("ChannelDelete error:", e);
+  }
 });
 
 process.on("unhandledRejection", (err) => console.log(err));
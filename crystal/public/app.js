@@ -18,51 +18,139 @@ document.addEventListener("click", (e) => {
     });
 });
 
-// 2) Stripe Payment Links mode (static hosting friendly)
-// Put your links in public/config.js as:
-// window.STRIPE_PAYMENT_LINKS = { p1: "https://buy.stripe.com/...", ... }
-
-function getStripeLink(productId) {
-  const links = window.STRIPE_PAYMENT_LINKS || {};
-  return links[productId] || "";
+// 2) Checkout through the bot's order system (POST /api/checkout)
+// <button data-checkout="p1" data-method="crypto"> — method defaults to card (Stripe). Coupon, Discord ID and
+// country come from the [data-checkout-field] inputs on the page.
+function checkoutField(name) {
+  const el = document.querySelector('[data-checkout-field="' + name + '"]');
+  return el ? el.value.trim() : "";
 }
 
 document.addEventListener("click", (e) => {
-  const a = e.target.closest("a[data-stripe-buy]");
-  if (!a) return;
-
-  const productId = a.getAttribute("data-stripe-buy");
-  const link = getStripeLink(productId);
-  if (!link) {
-    e.preventDefault();
-    alert(
-      "Stripe link not configured yet.\n\nOpen public/config.js and put your Stripe Payment Link for this product."
-    );
-    return;
-  }
+  const el = e.target.closest("[data-checkout]");
+  if (!el) return;
+  e.preventDefault();
+  if (el.disabled) return;
+
+  const old = el.textContent;
+  el.disabled = true;
+  el.textContent = "Redirecting…";
 
-  // Go to Stripe hosted checkout
-  a.setAttribute("href", link);
+  fetch("/api/checkout", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      productId: el.getAttribute("data-checkout"),
+      method: el.getAttribute("data-method") || "stripe",
+      coupon: checkoutField("coupon"),
+      discordId: checkoutField("discordId"),
+      country: checkoutField("country").toUpperCase(),
+    }),
+  })
+    .then((r) => r.json().then((d) => ({ ok: r.ok, d })))
+    .then(({ ok, d }) => {
+      if (!ok || !d?.url) throw new Error(d?.error || "Checkout failed");
+      window.location.href = d.url;
+    })
+    .catch((err) => {
+      el.disabled = false;
+      el.textContent = old;
+      alert(err.message);
+    });
 });
 
-// 3) Pay buttons (data-checkout="p1") — redirects to Stripe Payment Link
-document.addEventListener("click", (e) => {
-  const el = e.target.closest("[data-checkout]");
-  if (!el) return;
+// 3) Live prices from the bot's catalog (falls back to the prices written in the HTML)
+(function () {
+  const els = document.querySelectorAll("[data-price]");
+  if (!els.length) return;
+
+  fetch("/api/products")
+    .then((r) => (r.ok ? r.json() : null))
+    .then((data) => {
+      const byId = {};
+      (data?.products || []).forEach((p) => (byId[p.id] = p));
+      const fmt = new Intl.NumberFormat("en-US", { style: "currency", currency: data?.currency || "USD" });
 
-  const productId = el.getAttribute("data-checkout");
-  const link = getStripeLink(productId);
+      els.forEach((el) => {
+        const p = byId[el.getAttribute("data-price")];
+        if (!p) return;
+        el.textContent = p.soldOut ? "Sold out" : fmt.format(Number(p.price));
+      });
+    })
+    .catch(() => {
+      // static hosting: keep the HTML prices
+    });
+})();
+
+// 4) Live order status on success.html / cancel.html (?order=<id>&token=<signed token> from the bot)
+(function () {
+  const box = document.querySelector("[data-order-status]");
+  if (!box) return;
+
+  const params = new URLSearchParams(window.location.search);
+  const orderId = params.get("order");
+  const token = params.get("token");
+  if (!orderId || !token) return;
+
+  const api = "/api/orders/" + encodeURIComponent(orderId);
+  const qs = "?token=" + encodeURIComponent(token);
+  const LABELS = {
+    waiting: "⏳ Waiting for payment confirmation…",
+    paid: "✅ Paid — we're preparing your order.",
+    delivered: "📦 Delivered — check your Discord DMs and ticket.",
+    expired: "⌛ This payment link expired.",
+    cancelled: "🚫 This order was cancelled.",
+    refunded: "↩️ This order was refunded.",
+  };
+  const FINAL = ["delivered", "expired", "cancelled", "refunded"];
 
-  if (!link) {
-    alert("Stripe link not configured for: " + productId);
-    return;
+  const text = (sel, value) => {
+    const el = box.querySelector(sel);
+    if (el) el.textContent = value;
+  };
+
+  function render(o) {
+    box.hidden = false;
+    text("[data-order-id]", o.id.slice(0, 8).toUpperCase());
+    text("[data-order-state]", LABELS[o.state] || o.status);
+    text("[data-order-items]", o.items.map((it) => it.qty + "× " + it.name).join(", "));
+    text("[data-order-total]", o.totalText);
+
+    const resume = box.querySelector("[data-order-resume]");
+    // .btn sets display, so `hidden` alone wouldn't hide it
+    if (resume) resume.style.display = o.canResume ? "" : "none";
   }
 
-  // For <a>, allow normal navigation; for <button>, redirect
-  if (el.tagName && el.tagName.toLowerCase() === "a") {
-    el.setAttribute("href", link);
-    return;
+  // The webhook usually lands a few seconds after the redirect; poll for up to 10 minutes
+  let tries = 0;
+  function poll() {
+    fetch(api + qs, { cache: "no-store" })
+      .then((r) => (r.ok ? r.json() : null))
+      .then((o) => {
+        if (!o) return;
+        render(o);
+        if (box.hasAttribute("data-poll") && !FINAL.includes(o.state) && ++tries < 120) setTimeout(poll, 5000);
+      })
+      .catch(() => {
+        if (++tries < 120) setTimeout(poll, 5000);
+      });
   }
+  poll();
 
-  window.location.href = link;
-});
+  const resume = box.querySelector("[data-order-resume]");
+  if (resume) {
+    resume.addEventListener("click", () => {
+      resume.disabled = true;
+      fetch(api + "/resume" + qs, { method: "POST" })
+        .then((r) => r.json())
+        .then((d) => {
+          if (d?.url) window.location.href = d.url;
+          else throw new Error(d?.error || "failed");
+        })
+        .catch((e) => {
+          resume.disabled = false;
+          alert("Couldn't resume checkout: " + e.message + "\n\nOpen your Discord ticket to get a new payment link.");
+        });
+    });
+  }
+})();
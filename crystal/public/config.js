@@ -1,13 +0,0 @@
-// Paste your Stripe Payment Links here.
-// How to get them:
-// Stripe Dashboard -> Payment links -> + New
-// After creating the link, set the "After payment" redirect to:
-//   https://YOUR_DOMAIN/success.html
-
-window.STRIPE_PAYMENT_LINKS = {
-  p1: "https://buy.stripe.com/dRmeVfb5S2ys7713Cb8bS0m",
-  p2: "https://buy.stripe.com/3cIfZj2zm5KE2QLgoX8bS0n",
-  p3: "https://buy.stripe.com/fZu00l7TG1uoezt5Kj8bS0o",
-  p4: "https://buy.stripe.com/7sY14pfm8c929f9fkT8bS0p",
-  p5: "https://buy.stripe.com/9B65kF4Hua0UdvpfkT8bS0q",
-};
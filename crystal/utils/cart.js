@@ -0,0 +1,60 @@
+import { getDb } from "./db.js";
+
+const MAX_QTY = 99;
+
+export function getCart(channelId) {
+  const row = getDb().prepare("SELECT data FROM carts WHERE channelId = ?").get(channelId);
+  return row ? JSON.parse(row.data) : { items: [], messageId: null };
+}
+
+function saveCart(channelId, cart) {
+  // cart: { items: [{ id, name, emoji, price, qty }], messageId }
+  getDb()
+    .prepare("INSERT INTO carts (channelId, data) VALUES (?, ?) ON CONFLICT(channelId) DO UPDATE SET data = excluded.data")
+    .run(channelId, JSON.stringify(cart));
+  return cart;
+}
+
+export function addToCart(channelId, prod, qty = 1) {
+  const cart = getCart(channelId);
+  const item = cart.items.find(x => x.id === prod.id);
+  if (item) item.qty = Math.min(MAX_QTY, item.qty + qty);
+  else cart.items.push({ id: prod.id, name: prod.name, emoji: prod.emoji, price: Number(prod.price), qty: Math.min(MAX_QTY, qty) });
+  return saveCart(channelId, cart);
+}
+
+export function setCartQty(channelId, prodId, qty) {
+  const cart = getCart(channelId);
+  const n = Math.floor(Number(qty));
+  if (!Number.isFinite(n) || n < 0) throw new Error("Quantity must be a whole number (0 removes the item)");
+
+  if (n === 0) cart.items = cart.items.filter(x => x.id !== prodId);
+  else {
+    const item = cart.items.find(x => x.id === prodId);
+    if (!item) throw new Error("Item is not in the cart");
+    item.qty = Math.min(MAX_QTY, n);
+  }
+  return saveCart(channelId, cart);
+}
+
+export function setCartMessage(channelId, messageId) {
+  const cart = getCart(channelId);
+  cart.messageId = messageId;
+  return saveCart(channelId, cart);
+}
+
+export function clearCart(channelId) {
+  getDb().prepare("DELETE FROM carts WHERE channelId = ?").run(channelId);
+}
+
+export function cartSubtotal(items) {
+  const sum = (items || []).reduce((acc, x) => acc + Number(x.price) * Number(x.qty || 1), 0);
+  return Number(sum.toFixed(2));
+}
+
+// Orders created before carts existed hold a single `product` instead of `items`.
+export function orderItems(order) {
+  if (Array.isArray(order?.items) && order.items.length) return order.items;
+  if (order?.product) return [{ ...order.product, qty: 1 }];
+  return [];
+}
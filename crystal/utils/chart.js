@@ -0,0 +1,130 @@
+import zlib from "zlib";
+
+// Tiny PNG bar chart without native deps. Draws bars, grid lines and short
+// labels (digits, $ . - / and a few letters) with a 3x5 pixel font.
+
+const FONT = {
+  0: ["111", "101", "101", "101", "111"],
+  1: ["010", "110", "010", "010", "111"],
+  2: ["111", "001", "111", "100", "111"],
+  3: ["111", "001", "111", "001", "111"],
+  4: ["101", "101", "111", "001", "001"],
+  5: ["111", "100", "111", "001", "111"],
+  6: ["111", "100", "111", "101", "111"],
+  7: ["111", "001", "010", "010", "010"],
+  8: ["111", "101", "111", "101", "111"],
+  9: ["111", "101", "111", "001", "111"],
+  $: ["011", "110", "010", "011", "110"],
+  ".": ["000", "000", "000", "000", "010"],
+  "-": ["000", "000", "111", "000", "000"],
+  "/": ["001", "001", "010", "100", "100"],
+  k: ["100", "101", "110", "101", "101"],
+  " ": ["000", "000", "000", "000", "000"],
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const b of buf) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+function encodePNG(width, height, pixels) {
+  // pixels: Uint8Array RGB, one filter byte (0) per scanline
+  const raw = Buffer.alloc((width * 3 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    pixels.copy(raw, y * (width * 3 + 1) + 1, y * width * 3, (y + 1) * width * 3);
+  }
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 2; // truecolor RGB
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", ihdr),
+    chunk("IDAT", zlib.deflateSync(raw)),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+function canvas(width, height, bg) {
+  const px = Buffer.alloc(width * height * 3);
+  const rect = (x, y, w, h, [r, g, b]) => {
+    for (let yy = Math.max(0, y); yy < Math.min(height, y + h); yy++) {
+      for (let xx = Math.max(0, x); xx < Math.min(width, x + w); xx++) {
+        const i = (yy * width + xx) * 3;
+        px[i] = r;
+        px[i + 1] = g;
+        px[i + 2] = b;
+      }
+    }
+  };
+  const text = (str, x, y, color, scale = 2) => {
+    let cx = x;
+    for (const ch of String(str)) {
+      const glyph = FONT[ch] || FONT[" "];
+      glyph.forEach((row, gy) =>
+        [...row].forEach((on, gx) => {
+          if (on === "1") rect(cx + gx * scale, y + gy * scale, scale, scale, color);
+        })
+      );
+      cx += 4 * scale;
+    }
+  };
+  rect(0, 0, width, height, bg);
+  return { px, rect, text };
+}
+
+const shortMoney = (n) => (n >= 1000 ? `$${(n / 1000).toFixed(1)}k` : `$${n.toFixed(n >= 100 ? 0 : 2)}`);
+
+// points: [{ label: "01-31", value: 12.5 }]
+export function renderBarChartPNG(points, { width = 800, height = 360 } = {}) {
+  const BG = [17, 24, 39];
+  const GRID = [55, 65, 81];
+  const BAR = [99, 102, 241];
+  const TEXT = [203, 213, 225];
+
+  const { px, rect, text } = canvas(width, height, BG);
+  const left = 70;
+  const bottom = 40;
+  const top = 20;
+  const plotW = width - left - 20;
+  const plotH = height - top - bottom;
+
+  const max = Math.max(1, ...points.map((p) => Number(p.value) || 0));
+
+  for (let g = 0; g <= 4; g++) {
+    const y = top + Math.round(plotH - (plotH * g) / 4);
+    rect(left, y, plotW, 1, GRID);
+    text(shortMoney((max * g) / 4), 6, y - 5, TEXT);
+  }
+
+  const n = Math.max(1, points.length);
+  const slot = plotW / n;
+  const barW = Math.max(2, Math.floor(slot * 0.7));
+  const labelEvery = Math.ceil(n / Math.floor(plotW / 48));
+
+  points.forEach((p, idx) => {
+    const h = Math.round((plotH * (Number(p.value) || 0)) / max);
+    const x = left + Math.round(idx * slot + (slot - barW) / 2);
+    rect(x, top + plotH - h, barW, h, BAR);
+    if (idx % labelEvery === 0) text(p.label, x, top + plotH + 12, TEXT);
+  });
+
+  return encodePNG(width, height, px);
+}
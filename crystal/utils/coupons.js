@@ -1,93 +1,394 @@
-import fs from "fs";
+import crypto from "crypto";
+import { getDb, transaction } from "./db.js";
+import { cartSubtotal } from "./cart.js";
 
-const FILE = "./coupons.json";
+const parseList = (json) => (json ? JSON.parse(json) : []);
 
-function readAll() {
-  try {
-    const raw = fs.readFileSync(FILE, "utf8");
-    const arr = JSON.parse(raw);
-    return Array.isArray(arr) ? arr : [];
-  } catch {
-    return [];
+function rowToCoupon(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    active: row.active !== 0,
+    firstOrderOnly: row.firstOrderOnly === 1,
+    productIds: parseList(row.productIds),
+    excludedProductIds: parseList(row.excludedProductIds),
+  };
+}
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// "YYYY-MM-DD" (UTC). Start dates begin at midnight, end dates include the whole day.
+function parseDay(day, { end = false } = {}) {
+  if (!DAY_RE.test(day) || Number.isNaN(Date.parse(`${day}T00:00:00Z`))) throw new Error(`Invalid date ${day} (use YYYY-MM-DD)`);
+  const t = Date.parse(`${day}T00:00:00Z`) + (end ? 86_400_000 : 0);
+  return new Date(t).toISOString();
+}
+
+const parseIds = (str) =>
+  String(str || "")
+    .split(",")
+    .map((x) => x.trim())
+    .filter(Boolean);
+
+// Turns slash-command style input into columns. "" or "-" clears a text rule.
+// Only keys present in `input` are returned, so it works for add and edit.
+function normalizeRules(input) {
+  const out = {};
+  const cleared = (v) => v === "" || v === "-" || v === null;
+
+  if (input.startsOn !== undefined) out.startsAt = cleared(input.startsOn) ? null : parseDay(input.startsOn);
+  if (input.endsOn !== undefined) out.endsAt = cleared(input.endsOn) ? null : parseDay(input.endsOn, { end: true });
+  if (out.startsAt && out.endsAt && out.endsAt <= out.startsAt) throw new Error("End date must be on or after the start date");
+
+  if (input.productIds !== undefined) {
+    out.productIds = cleared(input.productIds) ? null : JSON.stringify(parseIds(input.productIds));
   }
+  if (input.excludedProductIds !== undefined) {
+    out.excludedProductIds = cleared(input.excludedProductIds) ? null : JSON.stringify(parseIds(input.excludedProductIds));
+  }
+
+  if (input.minTotal !== undefined) {
+    const v = Number(input.minTotal ?? 0);
+    if (!Number.isFinite(v) || v < 0) throw new Error("Minimum order total must be >= 0");
+    out.minTotal = v;
+  }
+  if (input.perUserLimit !== undefined) {
+    const v = Number(input.perUserLimit ?? 0);
+    if (!Number.isInteger(v) || v < 0) throw new Error("Per-user limit must be >= 0 (0 = unlimited)");
+    out.perUserLimit = v;
+  }
+  if (input.firstOrderOnly !== undefined) out.firstOrderOnly = input.firstOrderOnly ? 1 : 0;
+  if (input.roleId !== undefined) out.roleId = input.roleId || null;
+
+  return out;
 }
 
-function writeAll(arr) {
-  fs.writeFileSync(FILE, JSON.stringify(arr, null, 2), "utf8");
+// Reservations that still hold a use; `exceptOrderId` leaves out the caller's own
+function activeReservations(code, { exceptOrderId = null, now = new Date() } = {}) {
+  return getDb()
+    .prepare(
+      `SELECT COUNT(*) AS n FROM redemptions
+       WHERE code = ? AND status = 'reserved' AND expiresAt > ? AND (? IS NULL OR orderId != ?)`
+    )
+    .get(code, now.toISOString(), exceptOrderId, exceptOrderId).n;
 }
 
-export function listCoupons() {
-  return readAll();
+// `uses` are confirmed (paid) redemptions, `reserved` are open checkouts.
+// Referral codes (one per user, see utils/referrals.js) are left out unless asked for.
+export function listCoupons({ includeReferral = false } = {}) {
+  return getDb()
+    .prepare(`SELECT * FROM coupons ${includeReferral ? "" : "WHERE referrerId IS NULL"} ORDER BY createdAt`)
+    .all()
+    .map((row) => ({ ...rowToCoupon(row), reserved: activeReservations(row.code) }));
 }
 
 export function findCoupon(code) {
   if (!code) return null;
-  const c = readAll().find(x => String(x.code).toLowerCase() === String(code).toLowerCase());
+  const c = rowToCoupon(getDb().prepare("SELECT * FROM coupons WHERE code = ?").get(String(code).trim()));
   if (!c) return null;
   if (c.active === false) return null;
   if (Number(c.maxUses) > 0 && Number(c.uses) >= Number(c.maxUses)) return null;
   return c;
 }
 
-export function addCoupon({ code, type, value, maxUses }) {
-  if (!code) throw new Error("Missing code");
-  const norm = String(code).trim().toUpperCase();
-  if (!/^[A-Z0-9_-]{2,32}$/.test(norm)) throw new Error("Code must be 2-32 chars (A-Z, 0-9, _ or -)");
-
+function validateValue(type, value) {
   if (type !== "fixed" && type !== "percent") throw new Error("Type must be fixed or percent");
 
   const v = Number(value);
   if (!Number.isFinite(v) || v <= 0) throw new Error("Value must be > 0");
   if (type === "percent" && v > 100) throw new Error("Percent cannot exceed 100");
+  return v;
+}
+
+// No 0/O/1/I so codes can be read out loud
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+export function randomCode(prefix = "", length = 8) {
+  const bytes = crypto.randomBytes(length);
+  const body = [...bytes].map((b) => CODE_ALPHABET[b % CODE_ALPHABET.length]).join("");
+  return prefix ? `${prefix}-${body}` : body;
+}
+
+// Creates `count` unique random codes sharing type/value/maxUses and rules; all or nothing.
+export function generateCoupons({ count, prefix = "", ...shared }) {
+  const n = Number(count);
+  if (!Number.isInteger(n) || n < 1 || n > 500) throw new Error("Count must be between 1 and 500");
+
+  const p = String(prefix || "").trim().toUpperCase();
+  if (p && !/^[A-Z0-9_]{1,20}$/.test(p)) throw new Error("Prefix must be 1-20 chars (A-Z, 0-9 or _)");
+
+  return transaction(() => {
+    const created = [];
+    while (created.length < n) {
+      const code = randomCode(p);
+      if (getCoupon(code)) continue;
+      created.push(addCoupon({ ...shared, code }));
+    }
+    return created;
+  });
+}
+
+const csvCell = (v) => {
+  const s = v === null || v === undefined ? "" : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export function couponsToCsv(coupons) {
+  // Dates are the same inclusive YYYY-MM-DD days the command takes
+  const header = ["code", "type", "value", "maxUses", "startsOn", "endsOn", "minTotal", "perUserLimit", "firstOrderOnly"];
+  const rows = coupons.map((c) => [
+    c.code,
+    c.type,
+    c.value,
+    c.maxUses,
+    c.startsAt ? c.startsAt.slice(0, 10) : "",
+    c.endsAt ? new Date(Date.parse(c.endsAt) - 1).toISOString().slice(0, 10) : "",
+    c.minTotal || 0,
+    c.perUserLimit || 0,
+    c.firstOrderOnly ? "yes" : "no",
+  ]);
+  return [header, ...rows].map((r) => r.map(csvCell).join(",")).join("\n");
+}
+
+export function addCoupon({ code, type, value, maxUses, ...rules }) {
+  if (!code) throw new Error("Missing code");
+  const norm = String(code).trim().toUpperCase();
+  if (!/^[A-Z0-9_-]{2,32}$/.test(norm)) throw new Error("Code must be 2-32 chars (A-Z, 0-9, _ or -)");
+
+  const v = validateValue(type, value);
 
   const m = Number(maxUses ?? 0);
   if (!Number.isFinite(m) || m < 0) throw new Error("maxUses must be >= 0 (0 = unlimited)");
 
-  const arr = readAll();
-  if (arr.some(x => String(x.code).toUpperCase() === norm)) throw new Error("Coupon already exists");
-
-  const coupon = {
+  const row = {
     code: norm,
     type,
     value: v,
     uses: 0,
     maxUses: m,
-    active: true,
     createdAt: new Date().toISOString(),
+    startsAt: null,
+    endsAt: null,
+    productIds: null,
+    excludedProductIds: null,
+    minTotal: 0,
+    perUserLimit: 0,
+    firstOrderOnly: 0,
+    roleId: null,
+    ...normalizeRules(rules),
   };
 
-  arr.push(coupon);
-  writeAll(arr);
-  return coupon;
+  const res = getDb()
+    .prepare(
+      `INSERT OR IGNORE INTO coupons (code, type, value, uses, maxUses, active, createdAt, startsAt, endsAt,
+         productIds, excludedProductIds, minTotal, perUserLimit, firstOrderOnly, roleId)
+       VALUES (@code, @type, @value, @uses, @maxUses, 1, @createdAt, @startsAt, @endsAt,
+         @productIds, @excludedProductIds, @minTotal, @perUserLimit, @firstOrderOnly, @roleId)`
+    )
+    .run(row);
+  if (!res.changes) throw new Error("Coupon already exists");
+
+  return getCoupon(norm);
+}
+
+// Any coupon, including inactive or used-up ones
+export function getCoupon(code) {
+  const c = rowToCoupon(getDb().prepare("SELECT * FROM coupons WHERE code = ?").get(String(code || "").trim()));
+  return c && { ...c, reserved: activeReservations(c.code) };
+}
+
+// patch: value, maxUses, active and the rule fields accepted by addCoupon
+export function editCoupon(code, { value, maxUses, active, ...rules }) {
+  const c = getCoupon(code);
+  if (!c) throw new Error("Coupon not found");
+
+  const cols = normalizeRules(rules);
+  if (value !== undefined) cols.value = validateValue(c.type, value);
+  if (maxUses !== undefined) {
+    const m = Number(maxUses);
+    if (!Number.isFinite(m) || m < 0) throw new Error("maxUses must be >= 0 (0 = unlimited)");
+    cols.maxUses = m;
+  }
+  if (active !== undefined) cols.active = active ? 1 : 0;
+
+  const startsAt = cols.startsAt !== undefined ? cols.startsAt : c.startsAt;
+  const endsAt = cols.endsAt !== undefined ? cols.endsAt : c.endsAt;
+  if (startsAt && endsAt && endsAt <= startsAt) throw new Error("End date must be on or after the start date");
+
+  const keys = Object.keys(cols);
+  if (!keys.length) throw new Error("Nothing to change");
+
+  getDb()
+    .prepare(`UPDATE coupons SET ${keys.map((k) => `${k} = @${k}`).join(", ")} WHERE code = @code`)
+    .run({ ...cols, code: c.code });
+  return getCoupon(c.code);
+}
+
+// Items the coupon's discount applies to
+export function eligibleItems(coupon, items) {
+  return (items || []).filter(
+    (it) =>
+      (!coupon.productIds.length || coupon.productIds.includes(it.id)) && !coupon.excludedProductIds.includes(it.id)
+  );
+}
+
+// Throws with the exact reason a coupon can't be used, otherwise returns it.
+// ctx: { userId, roleIds, items, verified }. Without items (empty cart) the cart rules are checked at checkout.
+// verified: false when userId is only what the buyer typed (website), so per-user rules can't be trusted.
+export function checkCoupon(code, { userId = null, roleIds = [], items, verified = true, now = new Date() } = {}) {
+  if (!code) throw new Error("Enter a coupon code.");
+  const c = getCoupon(code);
+  if (!c) throw new Error("This coupon code does not exist.");
+  if (!c.active) throw new Error("This coupon is no longer active.");
+  if (Number(c.maxUses) > 0 && Number(c.uses) + activeReservations(c.code, { now }) >= Number(c.maxUses)) {
+    throw new Error("This coupon has been fully redeemed.");
+  }
+
+  const iso = now.toISOString();
+  if (c.startsAt && iso < c.startsAt) throw new Error(`This coupon is valid from ${c.startsAt.slice(0, 10)}.`);
+  if (c.endsAt && iso >= c.endsAt) throw new Error("This coupon has expired.");
+
+  if (!(verified && userId) && (c.referrerId || c.perUserLimit > 0 || c.firstOrderOnly)) {
+    throw new Error("This coupon can only be used when ordering through a Discord ticket.");
+  }
+  if (c.referrerId && c.referrerId === userId) throw new Error("You can't use your own referral code.");
+  if (c.roleId && !roleIds.includes(c.roleId)) throw new Error("This coupon is reserved for members with a specific role.");
+
+  if (userId && c.perUserLimit > 0) {
+    // Paid uses plus checkouts still open; abandoned reservations don't count
+    const used = getDb()
+      .prepare(
+        `SELECT COUNT(*) AS n FROM redemptions
+         WHERE code = ? AND userId = ? AND (status = 'confirmed' OR (status = 'reserved' AND expiresAt > ?))`
+      )
+      .get(c.code, userId, iso).n;
+    if (used >= c.perUserLimit) {
+      throw new Error(`You have already used this coupon ${used === 1 ? "once" : `${used} times`} (limit ${c.perUserLimit}).`);
+    }
+  }
+
+  if (userId && c.firstOrderOnly) {
+    const paid = getDb()
+      .prepare("SELECT COUNT(*) AS n FROM orders WHERE userId = ? AND json_extract(data, '$.paidAt') IS NOT NULL")
+      .get(userId).n;
+    if (paid > 0) throw new Error("This coupon is only valid on your first order.");
+  }
+
+  if (items?.length) {
+    if (!eligibleItems(c, items).length) throw new Error("This coupon does not apply to any product in your cart.");
+    const subtotal = cartSubtotal(items);
+    if (subtotal < Number(c.minTotal || 0)) {
+      throw new Error(`This coupon needs an order total of at least $${Number(c.minTotal).toFixed(2)} (cart: $${subtotal.toFixed(2)}).`);
+    }
+  }
+
+  return c;
+}
+
+// Discount on the eligible part of the cart; the total still covers every item
+export function applyCouponToItems(items, coupon) {
+  const subtotal = cartSubtotal(items);
+  if (!coupon) return { total: subtotal, discount: 0, label: null };
+
+  const r = applyCouponToAmount(cartSubtotal(eligibleItems(coupon, items)), coupon);
+  return { total: Number((subtotal - r.discount).toFixed(2)), discount: r.discount, label: r.label };
 }
 
 export function deleteCoupon(code) {
   const norm = String(code || "").trim().toUpperCase();
-  const arr = readAll();
-  const before = arr.length;
-  const next = arr.filter(x => String(x.code).toUpperCase() !== norm);
-  writeAll(next);
-  return next.length !== before;
+  return getDb().prepare("DELETE FROM coupons WHERE code = ?").run(norm).changes > 0;
+}
+
+// Holds one use of the coupon for an order until expiresAt. Called again with a later
+// expiry when a payment link is created. Throws when every use is taken.
+export function reserveCouponUse(code, { orderId, userId = null, expiresAt }) {
+  const norm = String(code || "").trim().toUpperCase();
+
+  return transaction(() => {
+    const c = getCoupon(norm);
+    if (!c) throw new Error(`Coupon ${norm} no longer exists.`);
+
+    const mine = getDb().prepare("SELECT * FROM redemptions WHERE code = ? AND orderId = ?").get(c.code, orderId);
+    if (mine?.status === "confirmed") return true;
+
+    const stillHeld = mine && mine.expiresAt > new Date().toISOString();
+    if (!stillHeld && Number(c.maxUses) > 0) {
+      if (Number(c.uses) + activeReservations(c.code, { exceptOrderId: orderId }) >= Number(c.maxUses)) {
+        throw new Error(`Coupon ${c.code} has been fully redeemed.`);
+      }
+    }
+
+    if (mine) {
+      // Never shortened: an earlier payment link may still be open until then
+      getDb().prepare("UPDATE redemptions SET expiresAt = MAX(expiresAt, ?) WHERE id = ?").run(expiresAt, mine.id);
+    } else {
+      getDb()
+        .prepare(
+          "INSERT INTO redemptions (code, orderId, userId, createdAt, status, expiresAt) VALUES (?, ?, ?, ?, 'reserved', ?)"
+        )
+        .run(c.code, orderId, userId, new Date().toISOString(), expiresAt);
+    }
+    return true;
+  });
+}
+
+// Cancelled checkout: give the held use back
+export function releaseCouponReservation(code, { orderId }) {
+  const norm = String(code || "").trim().toUpperCase();
+  return (
+    getDb().prepare("DELETE FROM redemptions WHERE code = ? AND orderId = ? AND status = 'reserved'").run(norm, orderId)
+      .changes > 0
+  );
 }
 
-export function incrementCouponUse(code) {
+// Records one redemption; the same order is only ever counted once. A reservation for
+// the order is confirmed even if the coupon filled up in the meantime.
+export function incrementCouponUse(code, { orderId = null, userId = null } = {}) {
   const norm = String(code || "").trim().toUpperCase();
-  const arr = readAll();
-  const idx = arr.findIndex(x => String(x.code).toUpperCase() === norm);
-  if (idx === -1) return false;
 
-  const c = arr[idx];
-  if (c.active === false) return false;
+  return transaction(() => {
+    const c = rowToCoupon(getDb().prepare("SELECT * FROM coupons WHERE code = ?").get(norm));
+    if (!c) return false;
+
+    const held = orderId
+      ? getDb().prepare("SELECT id FROM redemptions WHERE code = ? AND orderId = ? AND status = 'reserved'").get(c.code, orderId)
+      : null;
+    if (held) {
+      getDb().prepare("UPDATE redemptions SET status = 'confirmed', expiresAt = NULL WHERE id = ?").run(held.id);
+      getDb().prepare("UPDATE coupons SET uses = uses + 1 WHERE code = ?").run(c.code);
+      return true;
+    }
+
+    if (c.active === false) return false;
+
+    const maxUses = Number(c.maxUses || 0);
+    const uses = Number(c.uses || 0);
 
-  const maxUses = Number(c.maxUses || 0);
-  const uses = Number(c.uses || 0);
+    if (maxUses > 0 && uses + activeReservations(c.code) >= maxUses) return false;
+
+    const r = getDb()
+      .prepare("INSERT OR IGNORE INTO redemptions (code, orderId, userId, createdAt) VALUES (?, ?, ?, ?)")
+      .run(c.code, orderId, userId, new Date().toISOString());
+    if (orderId && !r.changes) return false;
+
+    getDb().prepare("UPDATE coupons SET uses = uses + 1 WHERE code = ?").run(c.code);
+    return true;
+  });
+}
+
+// Undoes incrementCouponUse for a refunded order
+export function releaseCouponUse(code, { orderId }) {
+  const norm = String(code || "").trim().toUpperCase();
 
-  if (maxUses > 0 && uses >= maxUses) return false;
+  return transaction(() => {
+    const r = getDb()
+      .prepare("DELETE FROM redemptions WHERE code = ? AND orderId = ? AND status = 'confirmed'")
+      .run(norm, orderId);
+    if (!r.changes) return false;
 
-  c.uses = uses + 1;
-  arr[idx] = c;
-  writeAll(arr);
-  return true;
+    getDb().prepare("UPDATE coupons SET uses = MAX(uses - 1, 0) WHERE code = ?").run(norm);
+    return true;
+  });
 }
 
 export function applyCouponToAmount(amountUsd, coupon) {
@@ -18,8 +18,10 @@ function makeSign(bodyObj, apiKey) {
   return crypto.createHash("md5").update(base64 + apiKey).digest("hex");
 }
 
+// amount is in `currency` (any fiat code Cryptomus accepts, e.g. USD, EUR, GBP)
 export async function createCryptomusInvoice({
-  amountUsd,
+  amount,
+  currency = "USD",
   orderId,
   description,
   successUrl,
@@ -31,8 +33,8 @@ export async function createCryptomusInvoice({
   if (!apiKey) throw new Error("Missing CRYPTOMUS_API_KEY");
 
   const body = {
-    amount: String(Number(amountUsd).toFixed(2)),
-    currency: "USD",
+    amount: String(Number(amount).toFixed(2)),
+    currency,
     order_id: orderId,
     url_return: successUrl || undefined,
     url_callback: callbackUrl || undefined,
@@ -59,7 +61,11 @@ export async function createCryptomusInvoice({
     throw new Error(`Cryptomus invoice failed: ${msg}`);
   }
 
-  return { url: data.result.url, uuid: data.result.uuid, data };
+  const expiresAt = data.result.expired_at
+    ? new Date(Number(data.result.expired_at) * 1000).toISOString()
+    : new Date(Date.now() + body.lifetime * 1000).toISOString();
+
+  return { url: data.result.url, uuid: data.result.uuid, expiresAt, data };
 }
 
 export function isCryptomusWebhookTrusted(req, env) {
@@ -81,3 +87,50 @@ export function isCryptomusWebhookTrusted(req, env) {
 
   return expected === received;
 }
+
+// Cryptomus invoice statuses grouped by what they mean for the order
+const STATUS_GROUPS = {
+  paid: ["paid", "paid_over"],
+  underpaid: ["wrong_amount", "wrong_amount_waiting", "paid_partial"],
+  expired: ["cancel"],
+  failed: ["fail", "system_fail"],
+  refunded: ["refund_paid"],
+};
+
+export function classifyCryptomusStatus(status) {
+  const s = String(status || "").toLowerCase();
+  for (const [group, list] of Object.entries(STATUS_GROUPS)) {
+    if (list.includes(s)) return group;
+  }
+  return "pending"; // check, process, confirm_check, locked, refund_process …
+}
+
+// USD value received on an underpaid invoice (cumulative for that invoice)
+export function cryptomusReceivedUsd(payload) {
+  const n = Number(payload?.payment_amount_usd ?? 0);
+  return Number.isFinite(n) ? Number(n.toFixed(2)) : 0;
+}
+
+// Amount received in the invoice currency, when the buyer paid in that same currency (null otherwise)
+export function cryptomusReceivedInInvoiceCurrency(payload) {
+  if (String(payload?.payer_currency || "").toUpperCase() !== String(payload?.currency || "").toUpperCase()) return null;
+  const n = Number(payload?.payment_amount ?? NaN);
+  return Number.isFinite(n) ? Number(n.toFixed(2)) : null;
+}
+
+// Cryptomus needs a fresh order_id per invoice: retries use "<orderId>_r<n>", top-ups "<orderId>_t<n>"
+export function retryInvoiceId(orderId, n) {
+  return `${orderId}_r${n}`;
+}
+
+export function topupInvoiceId(orderId, n) {
+  return `${orderId}_t${n}`;
+}
+
+export function isTopupInvoiceId(cryptomusOrderId) {
+  return /_t\d+$/.test(String(cryptomusOrderId || ""));
+}
+
+export function baseOrderId(cryptomusOrderId) {
+  return String(cryptomusOrderId || "").split("_")[0] || null;
+}
@@ -0,0 +1,116 @@
+import fs from "fs";
+import path from "path";
+import fetch from "node-fetch";
+import { getDb } from "./db.js";
+
+// Catalog prices, coupons, wallets and stats are in the base currency. Orders keep
+// { code, rate } so they can be charged, shown and invoiced in the buyer's currency.
+// Read lazily: index.js loads .env after its imports are evaluated.
+export const baseCurrency = () => String(process.env.BASE_CURRENCY || "USD").toUpperCase();
+
+const ratesFile = () => path.resolve(process.env.RATES_FILE || "./rates.json");
+
+let cache = null;
+
+const round2 = (n) => Number(Number(n).toFixed(2));
+
+// Rates are "units of X per 1 base". A file/feed in another base is rebased if it lists ours.
+function normalizeRates(data) {
+  const base = baseCurrency();
+  const from = String(data?.base || data?.base_code || base).toUpperCase();
+  const raw = data?.rates || {};
+  const baseRate = from === base ? 1 : Number(raw[base]);
+  if (!(baseRate > 0)) throw new Error(`Rates are in ${from} and don't include ${base}`);
+
+  const rates = {};
+  for (const [code, r] of Object.entries(raw)) {
+    if (/^[A-Z]{3}$/.test(code) && Number(r) > 0) rates[code] = Number(r) / baseRate;
+  }
+  rates[base] = 1;
+  return { base, updatedAt: data?.updatedAt || new Date().toISOString(), rates };
+}
+
+export function loadRates() {
+  try {
+    cache = normalizeRates(JSON.parse(fs.readFileSync(ratesFile(), "utf8")));
+  } catch (e) {
+    const base = baseCurrency();
+    console.log(`Rates file not loaded (${e.message}); only ${base} is available.`);
+    cache = { base, updatedAt: null, rates: { [base]: 1 } };
+  }
+  return cache;
+}
+
+export function getRates() {
+  return cache || loadRates();
+}
+
+// Pulls RATES_URL (any JSON with `base` and `rates`) into the rates file, or just re-reads the file
+export async function refreshRates({ url = process.env.RATES_URL } = {}) {
+  if (url) {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`Rates download failed (${res.status})`);
+    const rates = normalizeRates({ ...(await res.json()), updatedAt: new Date().toISOString() });
+    fs.writeFileSync(ratesFile(), JSON.stringify(rates, null, 2));
+  }
+  return loadRates();
+}
+
+export function isSupportedCurrency(code) {
+  return Boolean(getRates().rates[String(code || "").toUpperCase()]);
+}
+
+export function convert(amount, to, from = baseCurrency()) {
+  const { rates } = getRates();
+  const f = rates[String(from).toUpperCase()];
+  const t = rates[String(to).toUpperCase()];
+  if (!f || !t) throw new Error(`No exchange rate for ${!f ? from : to}`);
+  return round2((Number(amount) / f) * t);
+}
+
+// Digits after the decimal point (JPY has none); Stripe amounts use the same minor unit
+export function currencyDigits(currency) {
+  return new Intl.NumberFormat("en-US", { style: "currency", currency }).resolvedOptions().maximumFractionDigits;
+}
+
+export function formatMoney(amount, currency = baseCurrency()) {
+  return new Intl.NumberFormat("en-US", { style: "currency", currency }).format(Number(amount) || 0);
+}
+
+/* ---- orders ---- */
+// Orders from before multi-currency were charged in the base currency
+export const orderCurrency = (order) => order?.currency?.code || baseCurrency();
+
+export const toOrderCurrency = (order, baseAmount) => round2(Number(baseAmount) * Number(order?.currency?.rate || 1));
+
+export const toBaseCurrency = (order, amount) => round2(Number(amount) / Number(order?.currency?.rate || 1));
+
+// Locks today's rate onto a new order
+export function orderCurrencyFor(code) {
+  const c = String(code || baseCurrency()).toUpperCase();
+  const rate = getRates().rates[c];
+  return rate ? { code: c, rate } : { code: baseCurrency(), rate: 1 };
+}
+
+/* ---- display preference: user > guild > base ---- */
+export function setCurrencyPreference(scope, id, code) {
+  if (code === null) {
+    getDb().prepare("DELETE FROM currency_prefs WHERE scope = ? AND id = ?").run(scope, id);
+    return null;
+  }
+  const c = String(code).trim().toUpperCase();
+  if (!isSupportedCurrency(c)) {
+    throw new Error(`Unknown currency ${c}. Available: ${Object.keys(getRates().rates).join(", ")}`);
+  }
+  getDb()
+    .prepare("INSERT INTO currency_prefs (scope, id, currency) VALUES (?, ?, ?) ON CONFLICT(scope, id) DO UPDATE SET currency = excluded.currency")
+    .run(scope, id, c);
+  return c;
+}
+
+export function displayCurrency({ guildId = null, userId = null } = {}) {
+  const get = (scope, id) =>
+    id ? getDb().prepare("SELECT currency FROM currency_prefs WHERE scope = ? AND id = ?").get(scope, id)?.currency : null;
+  const code = get("user", userId) || get("guild", guildId);
+  return code && isSupportedCurrency(code) ? code : baseCurrency();
+}
@@ -0,0 +1,353 @@
+import fs from "fs";
+import path from "path";
+import Database from "better-sqlite3";
+
+let db = null;
+
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8")) ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+// One-time import of the old JSON files. They are left on disk as a backup.
+function importJsonFiles(d) {
+  const orders = readJson("./data/orders.json", { orders: [] })?.orders || [];
+  const insOrder = d.prepare(
+    "INSERT OR IGNORE INTO orders (id, channelId, userId, status, createdAt, data) VALUES (?, ?, ?, ?, ?, ?)"
+  );
+  for (const o of orders) {
+    if (!o?.id) continue;
+    insOrder.run(o.id, o.channelId || null, o.userId || null, o.status || "pending", o.createdAt || null, JSON.stringify(o));
+  }
+
+  const coupons = readJson("./coupons.json", []);
+  const insCoupon = d.prepare(
+    "INSERT OR IGNORE INTO coupons (code, type, value, uses, maxUses, active, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?)"
+  );
+  for (const c of Array.isArray(coupons) ? coupons : []) {
+    if (!c?.code) continue;
+    insCoupon.run(
+      String(c.code).toUpperCase(),
+      c.type,
+      Number(c.value),
+      Number(c.uses || 0),
+      Number(c.maxUses || 0),
+      c.active === false ? 0 : 1,
+      c.createdAt || new Date().toISOString()
+    );
+  }
+
+  const pending = readJson("./data/pending_coupons.json", {});
+  const insPending = d.prepare("INSERT OR IGNORE INTO pending_coupons (channelId, data) VALUES (?, ?)");
+  for (const [channelId, coupon] of Object.entries(pending || {})) {
+    insPending.run(channelId, JSON.stringify(coupon));
+  }
+
+  const carts = readJson("./data/carts.json", {});
+  const insCart = d.prepare("INSERT OR IGNORE INTO carts (channelId, data) VALUES (?, ?)");
+  for (const [channelId, cart] of Object.entries(carts || {})) {
+    insCart.run(channelId, JSON.stringify(cart));
+  }
+
+  console.log(`Imported ${orders.length} orders and ${Array.isArray(coupons) ? coupons.length : 0} coupons from JSON.`);
+}
+
+// Each entry runs once, in order; PRAGMA user_version records how far we got.
+const MIGRATIONS = [
+  (d) => {
+    d.exec(`
+      CREATE TABLE orders (
+        id TEXT PRIMARY KEY,
+        channelId TEXT,
+        userId TEXT,
+        status TEXT NOT NULL,
+        createdAt TEXT,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX idx_orders_channel ON orders (channelId);
+      CREATE INDEX idx_orders_user ON orders (userId);
+      CREATE INDEX idx_orders_status ON orders (status);
+
+      CREATE TABLE coupons (
+        code TEXT PRIMARY KEY COLLATE NOCASE,
+        type TEXT NOT NULL,
+        value REAL NOT NULL,
+        uses INTEGER NOT NULL DEFAULT 0,
+        maxUses INTEGER NOT NULL DEFAULT 0,
+        active INTEGER NOT NULL DEFAULT 1,
+        createdAt TEXT NOT NULL
+      );
+
+      CREATE TABLE pending_coupons (
+        channelId TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+
+      CREATE TABLE redemptions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        code TEXT NOT NULL COLLATE NOCASE,
+        orderId TEXT,
+        userId TEXT,
+        createdAt TEXT NOT NULL,
+        UNIQUE (code, orderId)
+      );
+      CREATE INDEX idx_redemptions_user ON redemptions (userId);
+
+      CREATE TABLE carts (
+        channelId TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+    `);
+    importJsonFiles(d);
+  },
+  (d) => {
+    d.exec(`
+      CREATE TABLE webhook_events (
+        id TEXT PRIMARY KEY,
+        provider TEXT NOT NULL,
+        type TEXT,
+        orderId TEXT,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL,
+        outcome TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        receivedAt TEXT NOT NULL,
+        processedAt TEXT
+      );
+      CREATE INDEX idx_webhook_events_order ON webhook_events (orderId);
+    `);
+  },
+  // Orders from before the lifecycle: a pending order with a payment link is awaiting payment
+  (d) => {
+    d.exec(`
+      UPDATE orders
+      SET status = 'awaiting_payment', data = json_set(data, '$.status', 'awaiting_payment')
+      WHERE status = 'pending' AND json_extract(data, '$.payment.url') IS NOT NULL;
+    `);
+  },
+  (d) => {
+    d.exec(`
+      CREATE TABLE products (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        emoji TEXT,
+        price REAL NOT NULL,
+        description TEXT,
+        delivery TEXT,
+        position INTEGER NOT NULL,
+        archived INTEGER NOT NULL DEFAULT 0,
+        stock INTEGER,
+        createdAt TEXT NOT NULL,
+        updatedAt TEXT
+      );
+    `);
+
+    // Seed from the old products.json
+    const products = readJson("./products.json", []);
+    const ins = d.prepare(
+      `INSERT OR IGNORE INTO products (id, name, emoji, price, description, delivery, position, createdAt)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+    );
+    (Array.isArray(products) ? products : []).forEach((p, idx) => {
+      if (!p?.id) return;
+      ins.run(p.id, p.name, p.emoji || null, Number(p.price), p.description || null, p.delivery || null, idx + 1, new Date().toISOString());
+    });
+  },
+  (d) => {
+    d.exec(`
+      ALTER TABLE products ADD COLUMN autoDeliver INTEGER NOT NULL DEFAULT 0;
+
+      CREATE TABLE inventory (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        productId TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        value TEXT NOT NULL,
+        fileName TEXT,
+        status TEXT NOT NULL DEFAULT 'available',
+        orderId TEXT,
+        claimedAt TEXT,
+        addedAt TEXT NOT NULL
+      );
+      CREATE INDEX idx_inventory_product ON inventory (productId, status);
+      CREATE INDEX idx_inventory_order ON inventory (orderId);
+    `);
+  },
+  // Coupon rules; product lists are JSON arrays, NULL/0 means "no restriction"
+  (d) => {
+    d.exec(`
+      ALTER TABLE coupons ADD COLUMN startsAt TEXT;
+      ALTER TABLE coupons ADD COLUMN endsAt TEXT;
+      ALTER TABLE coupons ADD COLUMN productIds TEXT;
+      ALTER TABLE coupons ADD COLUMN excludedProductIds TEXT;
+      ALTER TABLE coupons ADD COLUMN minTotal REAL NOT NULL DEFAULT 0;
+      ALTER TABLE coupons ADD COLUMN perUserLimit INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE coupons ADD COLUMN firstOrderOnly INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE coupons ADD COLUMN roleId TEXT;
+    `);
+  },
+  // A redemption is "reserved" at checkout (counts toward maxUses until expiresAt) and "confirmed" once paid
+  (d) => {
+    d.exec(`
+      ALTER TABLE redemptions ADD COLUMN status TEXT NOT NULL DEFAULT 'confirmed';
+      ALTER TABLE redemptions ADD COLUMN expiresAt TEXT;
+    `);
+  },
+  (d) => {
+    d.exec(`
+      ALTER TABLE coupons ADD COLUMN referrerId TEXT;
+      CREATE UNIQUE INDEX idx_coupons_referrer ON coupons (referrerId) WHERE referrerId IS NOT NULL;
+
+      CREATE TABLE referral_credits (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        referrerId TEXT NOT NULL,
+        code TEXT NOT NULL,
+        orderId TEXT NOT NULL UNIQUE,
+        buyerId TEXT,
+        amount REAL NOT NULL,
+        status TEXT NOT NULL DEFAULT 'credited',
+        createdAt TEXT NOT NULL
+      );
+      CREATE INDEX idx_referral_credits_referrer ON referral_credits (referrerId);
+    `);
+  },
+  // Store credit: the balance is the sum of a user's rows
+  (d) => {
+    d.exec(`
+      CREATE TABLE wallet_transactions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        userId TEXT NOT NULL,
+        amount REAL NOT NULL,
+        balanceAfter REAL NOT NULL,
+        reason TEXT NOT NULL,
+        orderId TEXT,
+        actor TEXT,
+        createdAt TEXT NOT NULL
+      );
+      CREATE INDEX idx_wallet_user ON wallet_transactions (userId);
+    `);
+  },
+  // Display currency per guild or per user (scope "guild" / "user")
+  (d) => {
+    d.exec(`
+      CREATE TABLE currency_prefs (
+        scope TEXT NOT NULL,
+        id TEXT NOT NULL,
+        currency TEXT NOT NULL,
+        PRIMARY KEY (scope, id)
+      );
+    `);
+  },
+  // Billing details (country, VAT ID) used for tax at checkout
+  (d) => {
+    d.exec(`
+      CREATE TABLE billing_profiles (
+        userId TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updatedAt TEXT NOT NULL
+      );
+    `);
+  },
+  // Invoice and credit-note numbers: one gap-free counter per kind and year
+  (d) => {
+    d.exec(`
+      CREATE TABLE invoice_counters (
+        kind TEXT NOT NULL,
+        year INTEGER NOT NULL,
+        seq INTEGER NOT NULL,
+        PRIMARY KEY (kind, year)
+      );
+
+      CREATE TABLE invoices (
+        number TEXT PRIMARY KEY,
+        kind TEXT NOT NULL,
+        orderId TEXT NOT NULL,
+        ref TEXT NOT NULL DEFAULT '',
+        amount REAL,
+        currency TEXT,
+        issuedAt TEXT NOT NULL,
+        UNIQUE (orderId, kind, ref)
+      );
+      CREATE INDEX idx_invoices_order ON invoices (orderId);
+    `);
+  },
+  // Ticket channels and the staff member assigned to each
+  (d) => {
+    d.exec(`
+      CREATE TABLE tickets (
+        channelId TEXT PRIMARY KEY,
+        guildId TEXT,
+        userId TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'open',
+        assigneeId TEXT,
+        claimedAt TEXT,
+        controlMessageId TEXT,
+        openedAt TEXT NOT NULL,
+        closedAt TEXT
+      );
+      CREATE INDEX idx_tickets_assignee ON tickets (assigneeId, status);
+    `);
+  },
+  // Ticket type key from tickets.json; older tickets are all purchase tickets
+  (d) => {
+    d.exec(`ALTER TABLE tickets ADD COLUMN type TEXT NOT NULL DEFAULT 'purchase';`);
+  },
+  // Inactivity: reminderStage 0 = none sent, 1 = reminded, 2 = warned; reminderAt is when the last one went out
+  (d) => {
+    d.exec(`
+      ALTER TABLE tickets ADD COLUMN lastActivityAt TEXT;
+      ALTER TABLE tickets ADD COLUMN reminderStage INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE tickets ADD COLUMN reminderAt TEXT;
+      ALTER TABLE tickets ADD COLUMN hold INTEGER NOT NULL DEFAULT 0;
+      UPDATE tickets SET lastActivityAt = openedAt;
+      CREATE INDEX idx_tickets_status ON tickets (status, lastActivityAt);
+    `);
+  },
+  // HTML transcript of each closed ticket; orders find theirs through orders.channelId
+  (d) => {
+    d.exec(`
+      CREATE TABLE transcripts (
+        channelId TEXT PRIMARY KEY,
+        guildId TEXT,
+        userId TEXT,
+        file TEXT NOT NULL,
+        messageCount INTEGER NOT NULL,
+        attachmentCount INTEGER NOT NULL DEFAULT 0,
+        createdAt TEXT NOT NULL
+      );
+    `);
+  },
+];
+
+function migrate(d) {
+  const current = d.pragma("user_version", { simple: true });
+  for (let v = current; v < MIGRATIONS.length; v++) {
+    d.transaction(() => {
+      MIGRATIONS[v](d);
+      d.pragma(`user_version = ${v + 1}`);
+    })();
+  }
+}
+
+export function initDb() {
+  if (db) return db;
+  const file = path.resolve(process.env.DB_PATH || "./data/store.db");
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+  migrate(db);
+  return db;
+}
+
+export function getDb() {
+  return db || initDb();
+}
+
+// Runs fn atomically; nested calls become savepoints of the outer transaction.
+export function transaction(fn) {
+  return getDb().transaction(fn)();
+}
@@ -0,0 +1,128 @@
+import fs from "fs";
+import path from "path";
+import { getDb, transaction } from "./db.js";
+import { getProduct } from "./products.js";
+
+// kind: "key" (license key / text), "link" (download URL) or "file" (value = path on disk)
+export const INVENTORY_KINDS = ["key", "link", "file"];
+
+const FILES_DIR = path.resolve("./data/inventory");
+
+function availableCount(productId) {
+  return getDb().prepare("SELECT COUNT(*) AS n FROM inventory WHERE productId = ? AND status = 'available'").get(productId).n;
+}
+
+// Product stock mirrors the unclaimed pool so the shop shows "N left" / sold out
+function syncStock(productId) {
+  getDb()
+    .prepare("UPDATE products SET stock = ?, updatedAt = ? WHERE id = ? AND autoDeliver = 1")
+    .run(availableCount(productId), new Date().toISOString(), productId);
+}
+
+// Adding items turns the product into an auto-deliver product
+export function addInventory(productId, kind, values) {
+  const p = getProduct(productId);
+  if (!p) throw new Error("Product not found");
+  if (!INVENTORY_KINDS.includes(kind)) throw new Error(`Type must be one of: ${INVENTORY_KINDS.join(", ")}`);
+
+  const clean = values.map((v) => String(v).trim()).filter(Boolean);
+  if (!clean.length) throw new Error("No items to add");
+  if (kind === "link" && clean.some((v) => !/^https?:\/\//i.test(v))) throw new Error("Links must start with http:// or https://");
+
+  return transaction(() => {
+    const ins = getDb().prepare("INSERT INTO inventory (productId, kind, value, addedAt) VALUES (?, ?, ?, ?)");
+    const now = new Date().toISOString();
+    for (const v of clean) ins.run(p.id, kind, v, now);
+
+    getDb().prepare("UPDATE products SET autoDeliver = 1 WHERE id = ?").run(p.id);
+    syncStock(p.id);
+    return { added: clean.length, available: availableCount(p.id) };
+  });
+}
+
+export function addInventoryFile(productId, fileName, buffer) {
+  const p = getProduct(productId);
+  if (!p) throw new Error("Product not found");
+
+  const safeName = String(fileName || "file").replace(/[^\w.-]+/g, "_").slice(0, 80);
+  const dir = path.join(FILES_DIR, p.id);
+  fs.mkdirSync(dir, { recursive: true });
+  const filePath = path.join(dir, `${Date.now()}-${safeName}`);
+  fs.writeFileSync(filePath, buffer);
+
+  return transaction(() => {
+    getDb()
+      .prepare("INSERT INTO inventory (productId, kind, value, fileName, addedAt) VALUES (?, 'file', ?, ?, ?)")
+      .run(p.id, filePath, safeName, new Date().toISOString());
+    getDb().prepare("UPDATE products SET autoDeliver = 1 WHERE id = ?").run(p.id);
+    syncStock(p.id);
+    return { added: 1, available: availableCount(p.id) };
+  });
+}
+
+// Back to manual delivery; unclaimed items stay in the pool
+export function disableAutoDeliver(productId) {
+  const r = getDb().prepare("UPDATE products SET autoDeliver = 0, stock = NULL WHERE id = ?").run(productId);
+  if (!r.changes) throw new Error("Product not found");
+}
+
+export function inventorySummary() {
+  return getDb()
+    .prepare(
+      `SELECT p.id, p.name, p.autoDeliver,
+        SUM(CASE WHEN i.status = 'available' THEN 1 ELSE 0 END) AS available,
+        SUM(CASE WHEN i.status = 'claimed' THEN 1 ELSE 0 END) AS claimed
+       FROM products p LEFT JOIN inventory i ON i.productId = p.id
+       GROUP BY p.id ORDER BY p.position`
+    )
+    .all()
+    .map((r) => ({ ...r, autoDeliver: r.autoDeliver === 1, available: r.available || 0, claimed: r.claimed || 0 }));
+}
+
+export function getClaimedItems(orderId) {
+  return getDb().prepare("SELECT * FROM inventory WHERE orderId = ? ORDER BY id").all(orderId);
+}
+
+// Claims one pool item per unit for every auto-deliver line of the order, all or nothing per line.
+// Safe to call twice: items already claimed for the order are returned instead of new ones.
+// Returns { claimed: [inventory rows], missing: [{ id, name, qty }], stock: [{ id, name, available }] }
+export function claimInventory(order, items) {
+  return transaction(() => {
+    const already = getClaimedItems(order.id);
+    const claimed = [];
+    const missing = [];
+    const stock = [];
+
+    for (const it of items) {
+      const p = getProduct(it.id);
+      if (!p?.autoDeliver) continue;
+
+      const qty = Number(it.qty || 1);
+      const mine = already.filter((x) => x.productId === p.id);
+      const need = qty - mine.length;
+      claimed.push(...mine);
+
+      if (need > 0) {
+        const rows = getDb()
+          .prepare("SELECT * FROM inventory WHERE productId = ? AND status = 'available' ORDER BY id LIMIT ?")
+          .all(p.id, need);
+
+        if (rows.length < need) {
+          missing.push({ id: p.id, name: p.name, qty: need });
+        } else {
+          const now = new Date().toISOString();
+          const upd = getDb().prepare(
+            "UPDATE inventory SET status = 'claimed', orderId = ?, claimedAt = ? WHERE id = ? AND status = 'available'"
+          );
+          for (const r of rows) upd.run(order.id, now, r.id);
+          claimed.push(...rows.map((r) => ({ ...r, status: "claimed", orderId: order.id, claimedAt: now })));
+        }
+      }
+
+      syncStock(p.id);
+      stock.push({ id: p.id, name: p.name, available: availableCount(p.id) });
+    }
+
+    return { claimed, missing, stock };
+  });
+}
@@ -1,65 +1,203 @@
 import fs from "fs";
 import path from "path";
 import PDFDocument from "pdfkit";
+import { formatMoney } from "./currency.js";
 
 export function ensureInvoicesDir() {
   fs.mkdirSync(path.resolve("./invoices"), { recursive: true });
 }
 
+// Look and seller details come from invoice.json (override with INVOICE_FILE). A template is a
+// set of layout options; INVOICE_TEMPLATE or "template" picks one from "templates".
+const BUILTIN_TEMPLATES = {
+  classic: { accentColor: "#4f46e5", showLogo: true, fontSize: 10 },
+  minimal: { accentColor: "#111827", showLogo: false, fontSize: 10 },
+};
+
+function loadInvoiceConfig() {
+  let file = {};
+  try {
+    file = JSON.parse(fs.readFileSync(path.resolve(process.env.INVOICE_FILE || "./invoice.json"), "utf8")) || {};
+  } catch {}
+
+  const templates = { ...BUILTIN_TEMPLATES, ...(file.templates || {}) };
+  const name = process.env.INVOICE_TEMPLATE || file.template || "classic";
+  return {
+    template: { ...BUILTIN_TEMPLATES.classic, ...(templates[name] || {}) },
+    seller: file.seller || {},
+    logo: path.resolve(file.logo || "./public/images/logo.png"),
+    footer: file.footer ?? "Thank you for your purchase.",
+  };
+}
+
+const STAMP_COLORS = { PAID: "#16a34a", REFUNDED: "#dc2626", "PARTIALLY REFUNDED": "#d97706" };
+
+// kind: "invoice" | "credit_note". stamp: "PAID" | "REFUNDED" | "PARTIALLY REFUNDED" | null.
+// Credit notes list what was refunded as `items` and point at the original `relatedInvoice`.
 export function createInvoicePDF(data, filePath) {
   ensureInvoicesDir();
+  const cfg = loadInvoiceConfig();
+  const tpl = cfg.template;
   const doc = new PDFDocument({ size: "A4", margin: 50 });
   const stream = fs.createWriteStream(filePath);
   doc.pipe(stream);
 
   const {
+    kind = "invoice",
     storeName,
     orderId,
     invoiceId,
+    relatedInvoice,
+    reason,
+    stamp,
     buyerTag,
     buyerId,
-    productName,
-    amountUsd,
+    currency = "USD",
+    items,
+    subtotal,
+    discount,
+    couponCode,
+    wallet,
+    walletBalance,
+    tax,
+    billing,
+    amount,
     paymentMethod,
     paymentAmount,
     transactionId,
     createdAt,
   } = data;
 
-  doc.fontSize(20).text(storeName || "Store");
-  doc.moveDown(0.2);
-  doc.fontSize(10).fillColor("#666").text("INVOICE / RECEIPT");
-  doc.moveDown(1);
-
-  doc.fillColor("#000").fontSize(12);
-  doc.text(`Invoice ID: ${invoiceId}`);
-  doc.text(`Order ID:   ${orderId}`);
-  doc.text(`Date:       ${createdAt}`);
-  doc.moveDown(1);
-
-  doc.fontSize(12).text("Billed To", { underline: true });
-  doc.moveDown(0.3);
-  doc.text(`Customer: ${buyerTag}`);
-  doc.text(`User ID:   ${buyerId}`);
-  doc.moveDown(1);
-
-  doc.fontSize(12).text("Order Details", { underline: true });
-  doc.moveDown(0.4);
-
-  function row(label, value) {
-    doc.fillColor("#111").text(label, 50, doc.y, { width: 180 });
-    doc.fillColor("#000").text(value, 240, doc.y, { width: 305 });
-    doc.moveDown(0.7);
+  // All amounts are already in `currency`
+  const fmt = (n) => formatMoney(n, currency);
+  // Unset details are left off the document; the name falls back to the store name
+  const seller = { ...cfg.seller, name: cfg.seller.name || storeName };
+  const left = 50;
+  const right = 545;
+  const fs0 = Number(tpl.fontSize) || 10;
+
+  /* ---- header: logo, seller block, document title ---- */
+  let top = 50;
+  if (tpl.showLogo && fs.existsSync(cfg.logo)) {
+    try {
+      doc.image(cfg.logo, left, top, { fit: [60, 60] });
+    } catch {}
+  }
+  const sellerX = tpl.showLogo ? left + 70 : left;
+  doc.fillColor("#000").fontSize(16).text(seller.name || "Store", sellerX, top, { width: 250 });
+  doc.fontSize(fs0 - 1).fillColor("#444");
+  for (const line of (seller.address || []).filter(Boolean)) doc.text(line, sellerX, doc.y, { width: 250 });
+  if (seller.taxId) doc.text(`Tax ID: ${seller.taxId}`, sellerX, doc.y, { width: 250 });
+  if (seller.email) doc.text(seller.email, sellerX, doc.y, { width: 250 });
+  const sellerBottom = doc.y;
+
+  doc
+    .fillColor(tpl.accentColor)
+    .fontSize(20)
+    .text(kind === "credit_note" ? "CREDIT NOTE" : "INVOICE", 330, top, { width: right - 330, align: "right" });
+  doc.fontSize(fs0).fillColor("#000");
+  const meta = [
+    [kind === "credit_note" ? "Credit note" : "Invoice", invoiceId],
+    relatedInvoice ? ["For invoice", relatedInvoice] : null,
+    ["Date", String(createdAt || "").slice(0, 10)],
+    ["Order", orderId],
+  ].filter(Boolean);
+  for (const [label, value] of meta) {
+    doc.text(`${label}: ${value}`, 300, doc.y, { width: right - 300, align: "right" });
+  }
+
+  top = Math.max(sellerBottom, doc.y, 115) + 20;
+
+  /* ---- billed to ---- */
+  doc.fillColor(tpl.accentColor).fontSize(fs0).text("BILLED TO", left, top);
+  doc.fillColor("#000").fontSize(fs0);
+  if (billing?.name) doc.text(billing.name);
+  doc.text(`${buyerTag || "-"} (Discord ID ${buyerId})`);
+  if (billing?.country) doc.text(`Country: ${billing.country}`);
+  if (billing?.vatId) doc.text(`VAT ID: ${billing.vatId}`);
+
+  /* ---- line items ---- */
+  const cols = [
+    { label: "Description", x: left, w: 265, align: "left" },
+    { label: "Qty", x: 320, w: 40, align: "right" },
+    { label: "Unit price", x: 365, w: 85, align: "right" },
+    { label: "Amount", x: 455, w: 90, align: "right" },
+  ];
+  let y = doc.y + 20;
+  doc.rect(left, y - 4, right - left, 18).fill(tpl.accentColor);
+  doc.fillColor("#fff").fontSize(fs0);
+  for (const c of cols) doc.text(c.label, c.x + 4, y, { width: c.w - 8, align: c.align });
+  y += 20;
+
+  doc.fillColor("#000");
+  for (const it of items || []) {
+    const qty = Number(it.qty || 1);
+    const cells = [`${it.name}`, String(qty), fmt(it.price), fmt(Number(it.price) * qty)];
+    const h = Math.max(14, doc.heightOfString(cells[0], { width: cols[0].w - 8 }));
+    if (y + h > 640) {
+      doc.addPage();
+      y = 50;
+    }
+    cols.forEach((c, idx) => doc.text(cells[idx], c.x + 4, y, { width: c.w - 8, align: c.align }));
+    y += h + 6;
+    doc.moveTo(left, y - 3).lineTo(right, y - 3).strokeColor("#e5e7eb").stroke();
+  }
+
+  /* ---- totals ---- */
+  y += 6;
+  const total = (label, value, bold = false) => {
+    doc.fillColor(bold ? "#000" : "#333").fontSize(bold ? fs0 + 2 : fs0);
+    doc.text(label, 300, y, { width: 150, align: "right" });
+    doc.text(value, 455, y, { width: 86, align: "right" });
+    y += bold ? 20 : 16;
+  };
+
+  if (kind !== "credit_note") {
+    if (Number(discount) > 0 || Number(wallet) > 0 || Number(tax?.amount) > 0) total("Subtotal", fmt(subtotal));
+    if (Number(discount) > 0) total(couponCode ? `Discount (${couponCode})` : "Discount", `-${fmt(discount)}`);
+    if (tax?.reverseCharge) total("VAT", "Reverse charge");
+    else if (Number(tax?.amount) > 0) total(`VAT ${tax.rate}%`, fmt(tax.amount));
+    if (Number(wallet) > 0) total("Store credit", `-${fmt(wallet)}`);
+    total(`Total (${currency})`, fmt(amount), true);
+  } else {
+    if (Number(tax?.amount) > 0) total(`Incl. VAT ${tax.rate}%`, fmt(tax.amount));
+    total(`Refunded (${currency})`, `-${fmt(amount)}`, true);
   }
 
-  row("Product", productName);
-  row("Price (USD)", `$${Number(amountUsd).toFixed(2)}`);
-  row("Payment Method", paymentMethod);
-  row("Paid Amount", paymentAmount || "-");
-  row("Transaction / Ref", transactionId || "-");
+  /* ---- payment details ---- */
+  y += 10;
+  doc.fillColor(tpl.accentColor).fontSize(fs0).text(kind === "credit_note" ? "REFUND" : "PAYMENT", left, y);
+  doc.fillColor("#000");
+  if (kind === "credit_note") {
+    if (reason) doc.text(`Reason: ${reason}`);
+    doc.text(`Reference: ${transactionId || "-"}`);
+  } else {
+    doc.text(`Method: ${paymentMethod || "-"}`);
+    doc.text(`Paid amount: ${paymentAmount || "-"}`);
+    doc.text(`Transaction / Ref: ${transactionId || "-"}`);
+    if (walletBalance !== null && walletBalance !== undefined) doc.text(`Store credit balance: ${fmt(walletBalance)}`);
+  }
 
-  doc.moveDown(1);
-  doc.fillColor("#666").fontSize(10).text("Thank you for your purchase.", { align: "left" });
+  /* ---- stamp ---- */
+  if (stamp) {
+    const color = STAMP_COLORS[stamp] || "#6b7280";
+    doc.save();
+    doc.rotate(-15, { origin: [430, 190] });
+    doc.lineWidth(3).strokeColor(color).strokeOpacity(0.6).roundedRect(330, 168, 200, 44, 6).stroke();
+    doc
+      .fillColor(color)
+      .fillOpacity(0.6)
+      .fontSize(stamp.length > 8 ? 16 : 26)
+      .text(stamp, 330, stamp.length > 8 ? 181 : 176, { width: 200, align: "center" });
+    doc.restore();
+  }
+
+  /* ---- footer ---- */
+  doc.fillOpacity(1).fillColor("#666").fontSize(fs0 - 1);
+  if (tax?.reverseCharge) {
+    doc.text("VAT reverse charge: the customer is liable to account for VAT.", left, 760, { width: right - left });
+  }
+  if (cfg.footer) doc.text(cfg.footer, left, 775, { width: right - left, align: "center" });
 
   doc.end();
 
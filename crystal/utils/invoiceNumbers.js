@@ -0,0 +1,54 @@
+import { getDb, transaction } from "./db.js";
+
+// kind: "invoice" (one per order) | "credit_note" (one per refund, keyed by `ref`)
+const PREFIXES = { invoice: "INV", credit_note: "CN" };
+
+const rowToInvoice = (r) => (r ? { ...r, amount: r.amount === null ? null : Number(r.amount) } : null);
+
+export function getInvoiceRecord(orderId, kind = "invoice", ref = "") {
+  return rowToInvoice(
+    getDb().prepare("SELECT * FROM invoices WHERE orderId = ? AND kind = ? AND ref = ?").get(orderId, kind, String(ref))
+  );
+}
+
+export function listInvoiceRecords(orderId) {
+  return getDb().prepare("SELECT * FROM invoices WHERE orderId = ? ORDER BY issuedAt").all(orderId).map(rowToInvoice);
+}
+
+// Numbers are handed out inside the same transaction that records them, so a year's
+// sequence has no gaps. Asking again for the same order/ref returns the number it already has.
+export function issueInvoiceNumber(orderId, { kind = "invoice", ref = "", amount = null, currency = null, now = new Date() } = {}) {
+  if (!PREFIXES[kind]) throw new Error(`Unknown invoice kind: ${kind}`);
+
+  return transaction(() => {
+    const existing = getInvoiceRecord(orderId, kind, ref);
+    if (existing) return existing;
+
+    const d = getDb();
+    const year = now.getUTCFullYear();
+    d.prepare(
+      `INSERT INTO invoice_counters (kind, year, seq) VALUES (?, ?, 1)
+       ON CONFLICT(kind, year) DO UPDATE SET seq = seq + 1`
+    ).run(kind, year);
+    const { seq } = d.prepare("SELECT seq FROM invoice_counters WHERE kind = ? AND year = ?").get(kind, year);
+
+    const record = {
+      number: `${PREFIXES[kind]}-${year}-${String(seq).padStart(5, "0")}`,
+      kind,
+      orderId,
+      ref: String(ref),
+      amount,
+      currency,
+      issuedAt: now.toISOString(),
+    };
+    d.prepare(
+      `INSERT INTO invoices (number, kind, orderId, ref, amount, currency, issuedAt)
+       VALUES (@number, @kind, @orderId, @ref, @amount, @currency, @issuedAt)`
+    ).run(record);
+    return record;
+  });
+}
+
+export function getInvoiceByNumber(number) {
+  return rowToInvoice(getDb().prepare("SELECT * FROM invoices WHERE number = ?").get(String(number || "").toUpperCase()));
+}
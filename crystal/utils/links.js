@@ -0,0 +1,34 @@
+import crypto from "crypto";
+
+// Signed links for pages that have no login (receipts, order status). A token is
+// "<expiry>.<hmac>" over scope + id + expiry, so it can't be reused for another user or order.
+const secret = () => {
+  const s = process.env.LINK_SECRET;
+  if (!s) throw new Error("LINK_SECRET is not set");
+  return s;
+};
+
+const hmac = (scope, id, exp) =>
+  crypto.createHmac("sha256", secret()).update(`${scope}:${id}:${exp}`).digest("base64url");
+
+export function signToken(scope, id, { days = 30, now = Date.now() } = {}) {
+  const exp = Math.floor(now / 1000) + Math.round(days * 86_400);
+  return `${exp}.${hmac(scope, id, exp)}`;
+}
+
+export function verifyToken(scope, id, token, { now = Date.now() } = {}) {
+  const [exp, sig] = String(token || "").split(".");
+  if (!/^\d+$/.test(exp || "") || !sig) return false;
+  if (Number(exp) * 1000 < now) return false;
+
+  const expected = Buffer.from(hmac(scope, id, exp));
+  const given = Buffer.from(sig);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// Absolute URL on PUBLIC_BASE_URL, or null when the site address isn't configured
+export function signedUrl(pathname, scope, id, opts) {
+  const base = (process.env.PUBLIC_BASE_URL || "").replace(/\/$/, "");
+  if (!base.startsWith("http")) return null;
+  return `${base}${pathname}?token=${encodeURIComponent(signToken(scope, id, opts))}`;
+}
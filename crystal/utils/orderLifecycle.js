@@ -0,0 +1,27 @@
+// Order lifecycle: which status may follow which.
+// pending -> awaiting_payment -> paid -> in_progress -> delivered -> closed, plus the side states below.
+export const ORDER_TRANSITIONS = {
+  pending: ["awaiting_payment", "paid", "cancelled", "expired"],
+  awaiting_payment: ["paid", "partially_paid", "payment_failed", "expired", "cancelled"],
+  payment_failed: ["awaiting_payment", "paid", "cancelled"],
+  expired: ["awaiting_payment", "paid", "cancelled"],
+  partially_paid: ["paid", "refunded", "cancelled"],
+  paid: ["in_progress", "delivered", "refunded", "partially_refunded", "disputed"],
+  in_progress: ["delivered", "refunded", "partially_refunded", "disputed"],
+  delivered: ["closed", "refunded", "partially_refunded", "disputed"],
+  closed: ["refunded", "partially_refunded", "disputed"],
+  partially_refunded: ["partially_refunded", "refunded", "disputed", "in_progress", "delivered", "closed"],
+  disputed: ["refunded", "partially_refunded", "delivered", "closed"],
+  refunded: [],
+  // A payment link can still be paid after the ticket was closed
+  cancelled: ["paid"],
+};
+
+export const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+// Statuses before any money arrived; a ticket close cancels these
+export const UNPAID_STATUSES = new Set(["pending", "awaiting_payment", "payment_failed", "expired"]);
+
+export function canTransition(from, to) {
+  return (ORDER_TRANSITIONS[from] || []).includes(to);
+}
@@ -1,41 +1,17 @@
-import fs from "fs";
-
-const FILE = "./data/pending_coupons.json";
-
-export function ensurePendingCouponsFile() {
-  try {
-    fs.mkdirSync("./data", { recursive: true });
-    if (!fs.existsSync(FILE)) fs.writeFileSync(FILE, JSON.stringify({}, null, 2), "utf8");
-  } catch {}
-}
-
-function readAll() {
-  try {
-    return JSON.parse(fs.readFileSync(FILE, "utf8")) || {};
-  } catch {
-    return {};
-  }
-}
-
-function writeAll(obj) {
-  fs.writeFileSync(FILE, JSON.stringify(obj, null, 2), "utf8");
-}
+import { getDb } from "./db.js";
 
 export function setPendingCoupon(channelId, coupon) {
-  const obj = readAll();
-  obj[channelId] = coupon; // { code, type, value, maxUses }
-  writeAll(obj);
+  // coupon: { code, type, value, maxUses }
+  getDb()
+    .prepare("INSERT INTO pending_coupons (channelId, data) VALUES (?, ?) ON CONFLICT(channelId) DO UPDATE SET data = excluded.data")
+    .run(channelId, JSON.stringify(coupon));
 }
 
 export function getPendingCoupon(channelId) {
-  const obj = readAll();
-  return obj[channelId] || null;
+  const row = getDb().prepare("SELECT data FROM pending_coupons WHERE channelId = ?").get(channelId);
+  return row ? JSON.parse(row.data) : null;
 }
 
 export function clearPendingCoupon(channelId) {
-  const obj = readAll();
-  if (obj[channelId]) {
-    delete obj[channelId];
-    writeAll(obj);
-  }
+  getDb().prepare("DELETE FROM pending_coupons WHERE channelId = ?").run(channelId);
 }
@@ -0,0 +1,154 @@
+import { getDb, transaction } from "./db.js";
+
+// stock: null = unlimited, otherwise units left. Auto-deliver products keep stock in sync
+// with their inventory pool (utils/inventory.js).
+function rowToProduct(row) {
+  if (!row) return null;
+  return { ...row, archived: row.archived !== 0, autoDeliver: row.autoDeliver === 1 };
+}
+
+export function listProducts({ includeArchived = false } = {}) {
+  const sql = includeArchived
+    ? "SELECT * FROM products ORDER BY position, createdAt"
+    : "SELECT * FROM products WHERE archived = 0 ORDER BY position, createdAt";
+  return getDb().prepare(sql).all().map(rowToProduct);
+}
+
+export function getProduct(id) {
+  return rowToProduct(getDb().prepare("SELECT * FROM products WHERE id = ?").get(String(id || "").trim()));
+}
+
+export function isSoldOut(p) {
+  return p.stock !== null && p.stock !== undefined && Number(p.stock) <= 0;
+}
+
+function validate({ id, name, price, emoji }) {
+  if (id !== undefined && !/^[a-z0-9_-]{1,20}$/i.test(String(id))) {
+    throw new Error("ID must be 1-20 chars (letters, digits, _ or -)");
+  }
+  if (name !== undefined && !String(name).trim()) throw new Error("Name can't be empty");
+  if (price !== undefined) {
+    const v = Number(price);
+    if (!Number.isFinite(v) || v <= 0) throw new Error("Price must be > 0");
+  }
+  if (emoji !== undefined && emoji !== null && String(emoji).length > 64) throw new Error("Emoji is too long");
+}
+
+export function addProduct({ id, name, price, emoji = null, description = null, delivery = null }) {
+  validate({ id, name, price, emoji });
+  if (getProduct(id)) throw new Error("A product with this ID already exists");
+
+  const position = (getDb().prepare("SELECT MAX(position) AS m FROM products").get().m || 0) + 1;
+  getDb()
+    .prepare(
+      `INSERT INTO products (id, name, emoji, price, description, delivery, position, createdAt)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+    )
+    .run(id, String(name).trim(), emoji, Number(price), description, delivery, position, new Date().toISOString());
+  return getProduct(id);
+}
+
+const EDITABLE = ["name", "price", "emoji", "description", "delivery"];
+
+export function editProduct(id, patch) {
+  const p = getProduct(id);
+  if (!p) throw new Error("Product not found");
+
+  const fields = Object.fromEntries(Object.entries(patch).filter(([k, v]) => EDITABLE.includes(k) && v !== undefined));
+  validate(fields);
+  if (!Object.keys(fields).length) throw new Error("Nothing to change");
+  if (fields.price !== undefined) fields.price = Number(fields.price);
+
+  const sets = Object.keys(fields).map((k) => `${k} = @${k}`);
+  getDb()
+    .prepare(`UPDATE products SET ${sets.join(", ")}, updatedAt = @updatedAt WHERE id = @id`)
+    .run({ ...fields, id: p.id, updatedAt: new Date().toISOString() });
+  return getProduct(p.id);
+}
+
+export function archiveProduct(id, archived = true) {
+  const r = getDb()
+    .prepare("UPDATE products SET archived = ?, updatedAt = ? WHERE id = ?")
+    .run(archived ? 1 : 0, new Date().toISOString(), String(id || "").trim());
+  if (!r.changes) throw new Error("Product not found");
+  return getProduct(id);
+}
+
+// Moves a product to a 1-based position among all products and renumbers the rest
+export function reorderProduct(id, position) {
+  return transaction(() => {
+    const all = listProducts({ includeArchived: true });
+    const idx = all.findIndex((p) => p.id === String(id || "").trim());
+    if (idx === -1) throw new Error("Product not found");
+
+    const [moved] = all.splice(idx, 1);
+    const target = Math.min(Math.max(1, Math.floor(Number(position) || 1)), all.length + 1);
+    all.splice(target - 1, 0, moved);
+
+    const upd = getDb().prepare("UPDATE products SET position = ? WHERE id = ?");
+    all.forEach((p, i) => upd.run(i + 1, p.id));
+    return listProducts({ includeArchived: true });
+  });
+}
+
+export function setStock(id, stock) {
+  if (getProduct(id)?.autoDeliver) throw new Error("Stock of an auto-deliver product comes from its inventory pool");
+  if (stock !== null && (!Number.isInteger(Number(stock)) || Number(stock) < 0)) {
+    throw new Error("Stock must be a whole number >= 0 (empty = unlimited)");
+  }
+  const r = getDb()
+    .prepare("UPDATE products SET stock = ?, updatedAt = ? WHERE id = ?")
+    .run(stock === null ? null : Number(stock), new Date().toISOString(), String(id || "").trim());
+  if (!r.changes) throw new Error("Product not found");
+  return getProduct(id);
+}
+
+// Called inside the "mark paid" transaction; unlimited and auto-deliver products are left alone
+export function consumeStock(items) {
+  const upd = getDb().prepare(
+    "UPDATE products SET stock = MAX(stock - ?, 0) WHERE id = ? AND stock IS NOT NULL AND autoDeliver = 0"
+  );
+  for (const it of items) upd.run(Number(it.qty || 1), it.id);
+}
+
+export function exportCatalog() {
+  return listProducts({ includeArchived: true }).map(({ id, name, emoji, price, description, delivery, archived, stock }) => ({
+    id,
+    name,
+    emoji,
+    price,
+    description,
+    delivery,
+    archived,
+    stock,
+  }));
+}
+
+// Upserts every product in the list; the list order becomes the display order.
+export function importCatalog(list) {
+  if (!Array.isArray(list)) throw new Error("Catalog must be a JSON array of products");
+
+  return transaction(() => {
+    list.forEach((p, i) => {
+      validate({ id: p?.id, name: p?.name, price: p?.price, emoji: p?.emoji });
+      if (!p.id || !p.name || p.price === undefined) throw new Error(`Product #${i + 1} needs id, name and price`);
+
+      if (getProduct(p.id)) {
+        editProduct(p.id, {
+          name: p.name,
+          price: p.price,
+          emoji: p.emoji ?? null,
+          description: p.description ?? null,
+          delivery: p.delivery ?? null,
+        });
+      } else {
+        addProduct(p);
+      }
+      archiveProduct(p.id, p.archived === true);
+      if (!getProduct(p.id).autoDeliver) setStock(p.id, p.stock ?? null);
+    });
+
+    list.forEach((p, i) => reorderProduct(p.id, i + 1));
+    return list.length;
+  });
+}
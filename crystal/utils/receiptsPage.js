@@ -0,0 +1,52 @@
+// Server-rendered receipts page for the signed /receipts link; styled with the site's styles.css
+
+const escapeHtml = (s) =>
+  String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+// rows: [{ id, date, status, total, items, documents: [{ label, viewUrl, downloadUrl }] }]
+export function renderReceiptsPage({ storeName, userTag, rows }) {
+  const body = rows.length
+    ? rows
+        .map(
+          (r) => `
+      <div class="box" style="margin-bottom:10px">
+        <b>Order ${escapeHtml(r.id.slice(0, 8).toUpperCase())}</b>
+        <span class="muted"> — ${escapeHtml(r.date)} — ${escapeHtml(r.status)} — ${escapeHtml(r.total)}</span>
+        <div class="muted">${escapeHtml(r.items)}</div>
+        <div class="links" style="display:flex;flex-wrap:wrap;gap:10px;margin-top:8px">
+          ${
+            r.documents
+              .map(
+                (d) =>
+                  `<a class="btn" href="${escapeHtml(d.viewUrl)}" target="_blank" rel="noreferrer">View ${escapeHtml(d.label)}</a>
+          <a class="btn ghost" href="${escapeHtml(d.downloadUrl)}">Download</a>`
+              )
+              .join("\n          ") || '<span class="muted">No receipt yet — this order isn\'t paid.</span>'
+          }
+        </div>
+      </div>`
+        )
+        .join("")
+    : '<p class="muted">No orders yet.</p>';
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  <meta name="robots" content="noindex" />
+  <title>Your Receipts — ${escapeHtml(storeName)}</title>
+  <link rel="icon" href="/favicon.svg" type="image/svg+xml" />
+  <link rel="stylesheet" href="/styles.css" />
+</head>
+<body>
+<main class="wrap" style="padding:40px 0">
+  <div class="card"><div class="card-body">
+    <h1>Your Receipts</h1>
+    <p class="muted">${escapeHtml(storeName)} orders for ${escapeHtml(userTag || "you")}. Keep this link private.</p>
+    ${body}
+  </div></div>
+</main>
+</body>
+</html>`;
+}
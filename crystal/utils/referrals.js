@@ -0,0 +1,61 @@
+import { getDb, transaction } from "./db.js";
+import { addCoupon, getCoupon, randomCode } from "./coupons.js";
+
+// Buyer discount and referrer reward, both as a percent of the order
+const discountPercent = () => Number(process.env.REFERRAL_DISCOUNT_PERCENT || 10);
+const rewardPercent = () => Number(process.env.REFERRAL_REWARD_PERCENT || 10);
+
+// Each user gets one referral code, created the first time they ask for it.
+// It can be used once per buyer and never by its owner.
+export function getReferralCode(userId) {
+  return transaction(() => {
+    const row = getDb().prepare("SELECT code FROM coupons WHERE referrerId = ?").get(userId);
+    if (row) return getCoupon(row.code);
+
+    let code = randomCode("REF", 6);
+    while (getCoupon(code)) code = randomCode("REF", 6);
+
+    addCoupon({ code, type: "percent", value: discountPercent(), maxUses: 0, perUserLimit: 1 });
+    getDb().prepare("UPDATE coupons SET referrerId = ? WHERE code = ?").run(userId, code);
+    return getCoupon(code);
+  });
+}
+
+// Called when an order is paid; an order credits its referrer at most once.
+export function creditReferral(order) {
+  const code = order?.pricing?.coupon?.code;
+  if (!code) return null;
+
+  const c = getCoupon(code);
+  if (!c?.referrerId || c.referrerId === order.userId) return null;
+
+  const amount = Number(((Number(order.pricing.total || 0) * rewardPercent()) / 100).toFixed(2));
+  const r = getDb()
+    .prepare(
+      `INSERT OR IGNORE INTO referral_credits (referrerId, code, orderId, buyerId, amount, createdAt)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    )
+    .run(c.referrerId, c.code, order.id, order.userId || null, amount, new Date().toISOString());
+  return r.changes ? { referrerId: c.referrerId, amount } : null;
+}
+
+// Fully refunded orders don't earn anything
+export function reverseReferral(orderId) {
+  return (
+    getDb().prepare("UPDATE referral_credits SET status = 'reversed' WHERE orderId = ? AND status = 'credited'").run(orderId)
+      .changes > 0
+  );
+}
+
+export function referralEarnings(userId, { limit = 10 } = {}) {
+  const totals = getDb()
+    .prepare(
+      `SELECT COUNT(*) AS orders, COALESCE(SUM(amount), 0) AS total
+       FROM referral_credits WHERE referrerId = ? AND status = 'credited'`
+    )
+    .get(userId);
+  const recent = getDb()
+    .prepare("SELECT * FROM referral_credits WHERE referrerId = ? ORDER BY createdAt DESC LIMIT ?")
+    .all(userId, limit);
+  return { orders: totals.orders, total: Number(totals.total.toFixed(2)), recent };
+}
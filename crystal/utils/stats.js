@@ -0,0 +1,130 @@
+import { orderItems, cartSubtotal } from "./cart.js";
+import { orderCurrency, toBaseCurrency, toOrderCurrency } from "./currency.js";
+
+const DAY = 86_400_000;
+
+const round2 = (n) => Number(Number(n).toFixed(2));
+const orderTotal = (o) => Number(o.pricing?.total ?? cartSubtotal(orderItems(o)));
+// Totals are in the base currency; refunds are recorded in the currency the order was charged in
+const refunded = (o) => toBaseCurrency(o, o.refund?.amount || 0);
+const netRevenue = (o) => orderTotal(o) - refunded(o);
+
+// period: "today" | "7d" | "30d" | "custom" (fromDay/toDay as YYYY-MM-DD, both inclusive). Times are UTC.
+export function resolvePeriod(period, { fromDay, toDay } = {}, now = new Date()) {
+  const startOfToday = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+
+  if (period === "custom") {
+    const day = /^\d{4}-\d{2}-\d{2}$/;
+    if (!day.test(fromDay || "") || !day.test(toDay || "")) throw new Error("Custom range needs from and to as YYYY-MM-DD");
+    const from = Date.parse(`${fromDay}T00:00:00Z`);
+    const to = Date.parse(`${toDay}T00:00:00Z`) + DAY;
+    if (!(to > from)) throw new Error("`to` must be on or after `from`");
+    if (to - from > 366 * DAY) throw new Error("Range can be at most one year");
+    return { from: new Date(from), to: new Date(to), label: `${fromDay} → ${toDay}` };
+  }
+
+  const days = period === "30d" ? 30 : period === "7d" ? 7 : 1;
+  return {
+    from: new Date(startOfToday - (days - 1) * DAY),
+    to: new Date(startOfToday + DAY),
+    label: period === "today" ? "Today" : `Last ${days} days`,
+  };
+}
+
+function bump(map, key, count, amount) {
+  const cur = map.get(key) || { key, count: 0, amount: 0 };
+  cur.count += count;
+  cur.amount = round2(cur.amount + amount);
+  map.set(key, cur);
+}
+
+const sorted = (map) => [...map.values()].sort((a, b) => b.amount - a.amount);
+
+// orders: every order created in [from, to)
+export function computeStats(orders, { from, to }) {
+  const paid = orders.filter((o) => o.paidAt);
+
+  const byProduct = new Map();
+  const byMethod = new Map();
+  const byCoupon = new Map();
+  const daily = new Map();
+
+  for (let t = from.getTime(); t < to.getTime(); t += DAY) daily.set(new Date(t).toISOString().slice(0, 10), 0);
+
+  for (const o of paid) {
+    for (const it of orderItems(o)) bump(byProduct, it.name, Number(it.qty || 1), Number(it.price) * Number(it.qty || 1));
+    bump(byMethod, o.payment?.method || "unknown", 1, netRevenue(o));
+    if (o.pricing?.coupon?.code) bump(byCoupon, o.pricing.coupon.code, 1, Number(o.pricing.discount || 0));
+
+    const day = String(o.paidAt).slice(0, 10);
+    if (daily.has(day)) daily.set(day, round2(daily.get(day) + netRevenue(o)));
+  }
+
+  const revenue = round2(paid.reduce((a, o) => a + netRevenue(o), 0));
+  const refundedTotal = round2(paid.reduce((a, o) => a + refunded(o), 0));
+  const discount = round2(paid.reduce((a, o) => a + Number(o.pricing?.discount || 0), 0));
+
+  return {
+    created: orders.length,
+    paid: paid.length,
+    revenue,
+    refunded: refundedTotal,
+    discount,
+    averageOrder: paid.length ? round2(revenue / paid.length) : 0,
+    conversion: orders.length ? paid.length / orders.length : 0,
+    byProduct: sorted(byProduct),
+    byMethod: sorted(byMethod),
+    byCoupon: sorted(byCoupon),
+    daily: [...daily.entries()].map(([day, value]) => ({ day, value })),
+  };
+}
+
+const csvCell = (v) => {
+  const s = v === null || v === undefined ? "" : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export function ordersToCsv(orders) {
+  const header = [
+    "id",
+    "status",
+    "createdAt",
+    "paidAt",
+    "userId",
+    "userTag",
+    "items",
+    "subtotal",
+    "discount",
+    "coupon",
+    "total",
+    "refunded",
+    "currency",
+    "charged",
+    "method",
+    "transactionId",
+  ];
+
+  const rows = orders.map((o) => {
+    const items = orderItems(o);
+    return [
+      o.id,
+      o.status,
+      o.createdAt,
+      o.paidAt || "",
+      o.userId,
+      o.userTag,
+      items.map((it) => `${it.qty}x ${it.name}`).join("; "),
+      o.pricing?.original ?? cartSubtotal(items),
+      o.pricing?.discount || 0,
+      o.pricing?.coupon?.code || "",
+      orderTotal(o),
+      refunded(o),
+      orderCurrency(o),
+      toOrderCurrency(o, orderTotal(o)),
+      o.payment?.method || "",
+      o.payment?.transactionId || "",
+    ];
+  });
+
+  return [header, ...rows].map((r) => r.map(csvCell).join(",")).join("\n");
+}
@@ -1,51 +1,278 @@
-import fs from "fs";
-import path from "path";
+import { getDb, transaction } from "./db.js";
+import { incrementCouponUse, releaseCouponUse, reserveCouponUse, releaseCouponReservation } from "./coupons.js";
+import { canTransition } from "./orderLifecycle.js";
+import { consumeStock } from "./products.js";
+import { orderItems } from "./cart.js";
+import { creditReferral, reverseReferral } from "./referrals.js";
+import { adjustWallet, getBalance } from "./wallet.js";
 
-const DATA_DIR = path.resolve("./data");
-const ORDERS_FILE = path.join(DATA_DIR, "orders.json");
+// Gives back store credit spent on the order, up to `owed` in total (pricing.walletReturned tracks it)
+function returnWalletCredit(order, owed, { actor, reason }) {
+  const back = Number((owed - Number(order.pricing?.walletReturned || 0)).toFixed(2));
+  if (!(back > 0)) return;
+  adjustWallet(order.userId, back, { reason, actor, orderId: order.id });
+  order.pricing.walletReturned = Number(owed.toFixed(2));
+}
 
-export function ensureDataFiles() {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-  if (!fs.existsSync(ORDERS_FILE)) {
-    fs.writeFileSync(ORDERS_FILE, JSON.stringify({ orders: [] }, null, 2));
-  }
+function rowToOrder(row) {
+  return row ? JSON.parse(row.data) : null;
+}
+
+function writeOrder(order) {
+  getDb()
+    .prepare(
+      `INSERT INTO orders (id, channelId, userId, status, createdAt, data) VALUES (@id, @channelId, @userId, @status, @createdAt, @data)
+       ON CONFLICT(id) DO UPDATE SET channelId = @channelId, userId = @userId, status = @status, createdAt = @createdAt, data = @data`
+    )
+    .run({
+      id: order.id,
+      channelId: order.channelId || null,
+      userId: order.userId || null,
+      status: order.status || "pending",
+      createdAt: order.createdAt || null,
+      data: JSON.stringify(order),
+    });
 }
 
 export function loadOrders() {
-  ensureDataFiles();
-  return JSON.parse(fs.readFileSync(ORDERS_FILE, "utf8"));
+  const rows = getDb().prepare("SELECT data FROM orders ORDER BY createdAt").all();
+  return { orders: rows.map(rowToOrder) };
 }
 
 export function saveOrders(db) {
-  ensureDataFiles();
-  fs.writeFileSync(ORDERS_FILE, JSON.stringify(db, null, 2));
+  transaction(() => {
+    for (const o of db.orders || []) writeOrder(o);
+  });
+}
+
+// New orders start their history here. actor: "system", "stripe", "cryptomus", "customer:<id>", "staff:<id>"
+export function createOrder(order, { actor = "system" } = {}) {
+  const created = {
+    ...order,
+    status: order.status || "pending",
+    history: [{ from: null, to: order.status || "pending", at: new Date().toISOString(), actor, reason: "created" }],
+  };
+  writeOrder(created);
+  return created;
 }
 
+// Saves order data. Status changes must go through transitionOrder.
 export function upsertOrder(order) {
-  const db = loadOrders();
-  const idx = db.orders.findIndex(o => o.id === order.id);
-  if (idx === -1) db.orders.push(order);
-  else db.orders[idx] = { ...db.orders[idx], ...order };
-  saveOrders(db);
-  return order;
+  return transaction(() => {
+    const existing = getOrderById(order.id);
+    if (existing && order.status && order.status !== existing.status) {
+      throw new Error(`Use transitionOrder to change order status (${existing.status} -> ${order.status})`);
+    }
+    const merged = existing ? { ...existing, ...order } : order;
+    writeOrder(merged);
+    return merged;
+  });
+}
+
+// The single way to change an order's status. Validates the move, applies `patch`
+// (an object, or a function that edits the order) and appends to `history`.
+// An expired order can still be paid, so by default only cancelling gives its store credit back
+export function transitionOrder(id, to, { actor = "system", reason = null, patch = null, returnCredit = to === "cancelled" } = {}) {
+  return transaction(() => {
+    const order = getOrderById(id);
+    if (!order) return null;
+
+    const from = order.status;
+    if (!canTransition(from, to)) throw new Error(`Order ${id} can't go from ${from} to ${to}`);
+
+    if (typeof patch === "function") patch(order);
+    else if (patch) Object.assign(order, patch);
+
+    // Coupon holds are taken again when a new payment link is made
+    if ((to === "cancelled" || to === "expired") && order.pricing?.coupon?.code && !order.pricing.couponUsedMarked) {
+      releaseCouponReservation(order.pricing.coupon.code, { orderId: order.id });
+    }
+    if (returnCredit && Number(order.pricing?.wallet) > 0) {
+      returnWalletCredit(order, Number(order.pricing.wallet), { actor, reason: `order ${to}` });
+    }
+
+    const at = new Date().toISOString();
+    order.status = to;
+    order.updatedAt = at;
+    order.history = [...(order.history || []), { from, to, at, actor, reason }];
+
+    writeOrder(order);
+    return order;
+  });
 }
 
 export function getOrderById(id) {
-  const db = loadOrders();
-  return db.orders.find(o => o.id === id) || null;
+  return rowToOrder(getDb().prepare("SELECT data FROM orders WHERE id = ?").get(id));
 }
 
+// A ticket can hold several orders (one per checkout); the latest one is the live one
 export function getOrderByChannelId(channelId) {
-  const db = loadOrders();
-  return db.orders.find(o => o.channelId === channelId) || null;
-}
-
-export function markPaid(id, payment) {
-  const order = getOrderById(id);
-  if (!order) return null;
-  order.status = "paid";
-  order.paidAt = new Date().toISOString();
-  order.payment = { ...order.payment, ...payment };
-  upsertOrder(order);
-  return order;
+  return rowToOrder(
+    getDb().prepare("SELECT data FROM orders WHERE channelId = ? ORDER BY createdAt DESC LIMIT 1").get(channelId)
+  );
+}
+
+export function getOrdersByChannelId(channelId) {
+  return getDb()
+    .prepare("SELECT data FROM orders WHERE channelId = ? ORDER BY createdAt")
+    .all(channelId)
+    .map(rowToOrder);
+}
+
+// Staff can type the short ID shown on invoices; only a unique match counts
+export function findOrderByIdPrefix(prefix) {
+  const p = String(prefix || "").trim().toLowerCase().replace(/^inv-/, "");
+  if (p.length < 4) return null;
+  const rows = getDb().prepare("SELECT data FROM orders WHERE id LIKE ? LIMIT 2").all(`${p}%`);
+  return rows.length === 1 ? rowToOrder(rows[0]) : null;
+}
+
+// filters: { userId, status, productId, from, to } — from/to are ISO timestamps, `to` exclusive
+export function searchOrders({ userId, status, productId, from, to } = {}, { limit = 10, offset = 0 } = {}) {
+  const where = [];
+  if (userId) where.push("userId = @userId");
+  if (status) where.push("status = @status");
+  if (from) where.push("createdAt >= @from");
+  if (to) where.push("createdAt < @to");
+  if (productId) {
+    where.push(`(EXISTS (SELECT 1 FROM json_each(data, '$.items') WHERE json_extract(value, '$.id') = @productId)
+      OR json_extract(data, '$.product.id') = @productId)`);
+  }
+  const params = Object.fromEntries(
+    Object.entries({ userId, status, productId, from, to }).filter(([, v]) => v)
+  );
+
+  const clause = where.length ? `WHERE ${where.join(" AND ")}` : "";
+  const total = getDb().prepare(`SELECT COUNT(*) AS n FROM orders ${clause}`).get(params).n;
+  const orders = getDb()
+    .prepare(`SELECT data FROM orders ${clause} ORDER BY createdAt DESC LIMIT @limit OFFSET @offset`)
+    .all({ ...params, limit, offset })
+    .map(rowToOrder);
+
+  return { total, orders };
+}
+
+// from inclusive, to exclusive (ISO timestamps)
+export function getOrdersCreatedBetween(from, to) {
+  return getDb()
+    .prepare("SELECT data FROM orders WHERE createdAt >= ? AND createdAt < ? ORDER BY createdAt")
+    .all(from, to)
+    .map(rowToOrder);
+}
+
+export function getOrderByTransactionId(transactionId) {
+  if (!transactionId) return null;
+  return rowToOrder(
+    getDb().prepare("SELECT data FROM orders WHERE json_extract(data, '$.payment.transactionId') = ?").get(transactionId)
+  );
+}
+
+// Records a non-status change (note, invoice resent …) in the order history
+export function logOrderAction(id, { actor = "system", action, reason = null, patch = null }) {
+  return transaction(() => {
+    const order = getOrderById(id);
+    if (!order) return null;
+
+    if (typeof patch === "function") patch(order);
+    else if (patch) Object.assign(order, patch);
+
+    const at = new Date().toISOString();
+    order.updatedAt = at;
+    order.history = [...(order.history || []), { action, at, actor, reason }];
+
+    writeOrder(order);
+    return order;
+  });
+}
+
+// Stores a payment link; the first one moves the order to awaiting_payment.
+// The order's coupon reservation is extended to the link's expiry (throws if the coupon filled up).
+export function startPayment(id, payment, { actor = "system", expiresAt = null } = {}) {
+  return transaction(() => {
+    const order = getOrderById(id);
+    if (!order) return null;
+    if (expiresAt && order.pricing?.coupon?.code && !order.pricing.couponUsedMarked) {
+      reserveCouponUse(order.pricing.coupon.code, { orderId: order.id, userId: order.userId, expiresAt });
+    }
+    if (order.status === "awaiting_payment") {
+      return upsertOrder({ id, payment: { ...order.payment, ...payment } });
+    }
+    return transitionOrder(id, "awaiting_payment", {
+      actor,
+      reason: `${payment.provider} payment link`,
+      patch: (o) => {
+        o.payment = { ...o.payment, ...payment };
+      },
+    });
+  });
+}
+
+// Marks the order paid, counts its coupon use, credits a referrer and takes its stock in one transaction
+export function markPaid(id, payment, { actor = payment?.provider || "system", reason = null } = {}) {
+  return transitionOrder(id, "paid", {
+    actor,
+    reason,
+    patch: (order) => {
+      order.paidAt = order.paidAt || new Date().toISOString();
+      order.payment = { ...order.payment, ...payment };
+
+      if (order?.pricing?.coupon?.code && !order?.pricing?.couponUsedMarked) {
+        incrementCouponUse(order.pricing.coupon.code, { orderId: order.id, userId: order.userId });
+        order.pricing.couponUsedMarked = true;
+      }
+
+      // A cancelled or expired order gave its store credit back, but its payment link only charges the rest:
+      // take the credit again. What the wallet can't cover is recorded as walletShortfall for staff to settle.
+      const returned = Number(order.pricing?.walletReturned || 0);
+      if (returned > 0 && order.userId) {
+        const take = Number(Math.min(returned, getBalance(order.userId)).toFixed(2));
+        if (take > 0) adjustWallet(order.userId, -take, { reason: "order paid after cancellation", actor, orderId: order.id });
+        order.pricing.walletReturned = Number((returned - take).toFixed(2));
+        if (order.pricing.walletReturned > 0) order.pricing.walletShortfall = order.pricing.walletReturned;
+      }
+
+      creditReferral(order);
+      consumeStock(orderItems(order));
+    },
+  });
+}
+
+// amountRefunded is the cumulative refunded amount. A full refund also gives the coupon use back,
+// cancels any referral credit and returns store credit spent on the order.
+export function markRefunded(id, { amountRefunded, full, refundId = null }, { actor = "system", reason = null } = {}) {
+  return transitionOrder(id, full ? "refunded" : "partially_refunded", {
+    actor,
+    reason,
+    patch: (order) => {
+      order.refund = { amount: amountRefunded, refundId, refundedAt: new Date().toISOString() };
+
+      if (full && order?.pricing?.coupon?.code && order?.pricing?.couponUsedMarked) {
+        releaseCouponUse(order.pricing.coupon.code, { orderId: order.id });
+        order.pricing.couponUsedMarked = false;
+      }
+      if (full) reverseReferral(order.id);
+
+      // Store credit goes back to the wallet: all of it on a full refund, or as much as
+      // was refunded when the order was paid with credit only
+      const wallet = Number(order.pricing?.wallet || 0);
+      if (wallet > 0) {
+        const owed = full ? wallet : order.payment?.provider === "wallet" ? Math.min(wallet, amountRefunded) : 0;
+        returnWalletCredit(order, owed, { actor, reason: "order refunded" });
+      }
+    },
+  });
+}
+
+// Adds what a Cryptomus invoice has received so far (amounts in the order's currency). Receipts are
+// keyed by invoice, so a repeated webhook for the same invoice never counts twice. Status is left to the caller.
+export function recordCryptoReceipt(id, { invoiceUuid, amount, expected }) {
+  return transaction(() => {
+    const order = getOrderById(id);
+    if (!order) return null;
+
+    const receipts = { ...(order.payment?.receipts || {}), [invoiceUuid]: amount };
+    const received = Number(Object.values(receipts).reduce((a, n) => a + Number(n), 0).toFixed(2));
+
+    return upsertOrder({ id, payment: { ...order.payment, receipts, received, expected } });
+  });
 }
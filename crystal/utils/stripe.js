@@ -1,4 +1,5 @@
 import Stripe from "stripe";
+import { currencyDigits } from "./currency.js";
 
 export function getStripe(env) {
   const key = env.STRIPE_SECRET_KEY;
@@ -6,24 +7,66 @@ export function getStripe(env) {
   return new Stripe(key, { apiVersion: "2024-06-20" });
 }
 
-export async function createStripeCheckout({ env, amountUsd, orderId, productName, successUrl, cancelUrl }) {
+const toMinor = (amount, currency) => Math.round(Number(amount) * 10 ** currencyDigits(currency));
+export const fromMinor = (amount, currency) => Number(amount) / 10 ** currencyDigits(String(currency).toUpperCase());
+
+// items: [{ name, price, qty }] — price is the unit price in `currency`, as is `discount`.
+// expiresInMinutes: 30 to 1440; omitted = Stripe's default of 24 hours.
+export async function createStripeCheckout({
+  env,
+  items,
+  discount,
+  currency = "USD",
+  orderId,
+  successUrl,
+  cancelUrl,
+  expiresInMinutes = null,
+}) {
   const stripe = getStripe(env);
-  const session = await stripe.checkout.sessions.create({
+
+  const params = {
     mode: "payment",
-    line_items: [
-      {
-        price_data: {
-          currency: "usd",
-          unit_amount: Math.round(Number(amountUsd) * 100),
-          product_data: { name: productName },
-        },
-        quantity: 1,
+    line_items: items.map((it) => ({
+      price_data: {
+        currency: currency.toLowerCase(),
+        unit_amount: toMinor(it.price, currency),
+        product_data: { name: it.name },
       },
-    ],
+      quantity: Number(it.qty || 1),
+    })),
     metadata: { orderId },
     success_url: successUrl || "https://example.com/success",
     cancel_url: cancelUrl || "https://example.com/cancel",
-  });
+  };
+  if (expiresInMinutes) {
+    params.expires_at = Math.floor(Date.now() / 1000) + Math.min(1440, Math.max(30, expiresInMinutes)) * 60;
+  }
+
+  // Coupon discounts apply to the whole cart, so pass them as a one-off Stripe coupon
+  const discountMinor = toMinor(discount || 0, currency);
+  if (discountMinor > 0) {
+    const coupon = await stripe.coupons.create({
+      amount_off: discountMinor,
+      currency: currency.toLowerCase(),
+      duration: "once",
+      max_redemptions: 1,
+      metadata: { orderId },
+    });
+    params.discounts = [{ coupon: coupon.id }];
+  }
+
+  const session = await stripe.checkout.sessions.create(params);
 
-  return { url: session.url, id: session.id };
+  return { url: session.url, id: session.id, expiresAt: new Date(session.expires_at * 1000).toISOString() };
+}
+
+// amount (in the charge's currency) omitted = refund whatever is left on the payment
+export async function refundStripePayment({ env, paymentIntentId, amount, currency = "USD", reason }) {
+  const stripe = getStripe(env);
+  const refund = await stripe.refunds.create({
+    payment_intent: paymentIntentId,
+    amount: amount ? toMinor(amount, currency) : undefined,
+    metadata: reason ? { reason } : undefined,
+  });
+  return { id: refund.id, amount: fromMinor(refund.amount, refund.currency), status: refund.status };
 }
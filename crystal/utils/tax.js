@@ -0,0 +1,132 @@
+import fs from "fs";
+import path from "path";
+import { getDb } from "./db.js";
+
+// Tax rules live in tax.json: { enabled, sellerCountry, rates: { DE: 19, ... }, reverseCharge: [countries] }.
+// Countries without a rate are not taxed. Read lazily: index.js loads .env after its imports are evaluated.
+const taxFile = () => path.resolve(process.env.TAX_FILE || "./tax.json");
+
+let cache = null;
+
+const round2 = (n) => Number(Number(n).toFixed(2));
+
+export function loadTaxConfig() {
+  try {
+    const data = JSON.parse(fs.readFileSync(taxFile(), "utf8"));
+    const rates = {};
+    for (const [code, r] of Object.entries(data?.rates || {})) {
+      if (/^[A-Z]{2}$/.test(code) && Number(r) >= 0) rates[code] = Number(r);
+    }
+    cache = {
+      enabled: data?.enabled !== false,
+      sellerCountry: String(process.env.SELLER_COUNTRY || data?.sellerCountry || "").toUpperCase() || null,
+      rates,
+      reverseCharge: (data?.reverseCharge || []).map((c) => String(c).toUpperCase()),
+    };
+  } catch (e) {
+    console.log(`Tax file not loaded (${e.message}); tax is disabled.`);
+    cache = { enabled: false, sellerCountry: null, rates: {}, reverseCharge: [] };
+  }
+  return cache;
+}
+
+export function getTaxConfig() {
+  return cache || loadTaxConfig();
+}
+
+// Off until the owner switches it on and says where the store is registered
+export function taxEnabled() {
+  const conf = getTaxConfig();
+  return conf.enabled && Boolean(conf.sellerCountry);
+}
+
+// ISO 3166 alpha-2; "UK" is accepted for GB and "EL" (the Greek VAT prefix) for GR
+export function normalizeCountry(input) {
+  const c = String(input || "").trim().toUpperCase();
+  if (!/^[A-Z]{2}$/.test(c)) throw new Error("Country must be a 2-letter code like DE or US");
+  return c === "UK" ? "GB" : c === "EL" ? "GR" : c;
+}
+
+// Format only (no VIES lookup). The prefix is optional when typing; it's added back here.
+const VAT_FORMATS = {
+  AT: /^U\d{8}$/,
+  BE: /^[01]\d{9}$/,
+  BG: /^\d{9,10}$/,
+  CY: /^\d{8}[A-Z]$/,
+  CZ: /^\d{8,10}$/,
+  DE: /^\d{9}$/,
+  DK: /^\d{8}$/,
+  EE: /^\d{9}$/,
+  ES: /^[A-Z0-9]\d{7}[A-Z0-9]$/,
+  FI: /^\d{8}$/,
+  FR: /^[A-Z0-9]{2}\d{9}$/,
+  GB: /^(\d{9}|\d{12}|GD\d{3}|HA\d{3})$/,
+  GR: /^\d{9}$/,
+  HR: /^\d{11}$/,
+  HU: /^\d{8}$/,
+  IE: /^\d{7}[A-Z]{1,2}$|^\d[A-Z+*]\d{5}[A-Z]$/,
+  IT: /^\d{11}$/,
+  LT: /^(\d{9}|\d{12})$/,
+  LU: /^\d{8}$/,
+  LV: /^\d{11}$/,
+  MT: /^\d{8}$/,
+  NL: /^\d{9}B\d{2}$/,
+  PL: /^\d{10}$/,
+  PT: /^\d{9}$/,
+  RO: /^\d{2,10}$/,
+  SE: /^\d{12}$/,
+  SI: /^\d{8}$/,
+  SK: /^\d{10}$/,
+};
+
+const vatPrefix = (country) => (country === "GR" ? "EL" : country);
+
+// Returns the VAT ID with its country prefix, or throws if the format is wrong
+export function validateVatId(country, vatId) {
+  const c = normalizeCountry(country);
+  const format = VAT_FORMATS[c];
+  if (!format) throw new Error(`VAT IDs for ${c} aren't supported`);
+
+  const prefix = vatPrefix(c);
+  let id = String(vatId || "").toUpperCase().replace(/[\s.\-]/g, "");
+  if (id.startsWith(prefix)) id = id.slice(prefix.length);
+  if (!format.test(id)) throw new Error(`That doesn't look like a valid ${prefix} VAT ID`);
+  return `${prefix}${id}`;
+}
+
+// amount: the taxable total (after discounts) in the base currency
+export function computeTax({ country, vatId = null, amount }) {
+  const cfg = getTaxConfig();
+  const c = normalizeCountry(country);
+  // IDs from countries we can't check are kept for the invoice but never reverse-charged
+  const id = !vatId ? null : VAT_FORMATS[c] ? validateVatId(c, vatId) : String(vatId).trim().toUpperCase();
+  const base = { country: c, vatId: id, rate: 0, amount: 0, reverseCharge: false };
+
+  if (!taxEnabled()) return base;
+
+  // B2B across borders within the reverse-charge area: the buyer accounts for the VAT
+  if (id && VAT_FORMATS[c] && c !== cfg.sellerCountry && cfg.reverseCharge.includes(c) && cfg.reverseCharge.includes(cfg.sellerCountry)) {
+    return { ...base, reverseCharge: true };
+  }
+
+  const rate = cfg.rates[c] || 0;
+  return { ...base, rate, amount: round2((Number(amount) * rate) / 100) };
+}
+
+/* ---- billing details ---- */
+
+// profile: { name, country, vatId }; remembered so the modal can be pre-filled next time
+export function saveBillingProfile(userId, profile) {
+  getDb()
+    .prepare(
+      `INSERT INTO billing_profiles (userId, data, updatedAt) VALUES (?, ?, ?)
+       ON CONFLICT(userId) DO UPDATE SET data = excluded.data, updatedAt = excluded.updatedAt`
+    )
+    .run(userId, JSON.stringify(profile), new Date().toISOString());
+  return profile;
+}
+
+export function getBillingProfile(userId) {
+  const row = getDb().prepare("SELECT data FROM billing_profiles WHERE userId = ?").get(userId);
+  return row ? JSON.parse(row.data) : null;
+}
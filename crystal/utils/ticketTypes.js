@@ -0,0 +1,102 @@
+import fs from "fs";
+import path from "path";
+
+// Ticket types come from tickets.json (override with TICKETS_FILE). Each type has its own panel button,
+// category, staff role, intake questions (max 5, shown as a modal), channel naming scheme and
+// how many tickets of that type a user may have open at once (limit, default 1; 0 = no limit).
+// Read lazily: index.js loads .env after its imports are evaluated.
+const ticketsFile = () => path.resolve(process.env.TICKETS_FILE || "./tickets.json");
+
+// The purchase flow (products, cart, coupons) only runs in "purchase" tickets
+export const PURCHASE_TYPE = "purchase";
+
+const DEFAULT_TYPES = {
+  purchase: { label: "Purchase", emoji: "🛒", description: "Buy a product", naming: "ticket-{userId}", limit: 1, questions: [] },
+};
+
+let cache = null;
+
+function normalizeType(key, t) {
+  const questions = (Array.isArray(t?.questions) ? t.questions : []).slice(0, 5).map((q, idx) => ({
+    id: String(q?.id || `q${idx + 1}`).slice(0, 100),
+    label: String(q?.label || `Question ${idx + 1}`).slice(0, 45),
+    style: q?.style === "paragraph" ? "paragraph" : "short",
+    required: q?.required !== false,
+    placeholder: q?.placeholder ? String(q.placeholder).slice(0, 100) : null,
+  }));
+
+  return {
+    key,
+    label: String(t?.label || key).slice(0, 80),
+    emoji: t?.emoji || null,
+    description: t?.description ? String(t.description).slice(0, 100) : null,
+    categoryId: t?.categoryId || null,
+    staffRoleId: t?.staffRoleId || null,
+    naming: String(t?.naming || `${key}-{username}`),
+    limit: Number.isInteger(t?.limit) && t.limit >= 0 ? t.limit : 1,
+    questions,
+  };
+}
+
+export function loadTicketTypes() {
+  let types = DEFAULT_TYPES;
+  try {
+    const data = JSON.parse(fs.readFileSync(ticketsFile(), "utf8"));
+    if (data?.types && Object.keys(data.types).length) types = data.types;
+  } catch (e) {
+    console.log(`Tickets file not loaded (${e.message}); using the purchase ticket only.`);
+  }
+
+  cache = {};
+  for (const [key, t] of Object.entries(types)) {
+    if (/^[a-z0-9_-]{1,32}$/.test(key)) cache[key] = normalizeType(key, t);
+  }
+  if (!cache[PURCHASE_TYPE]) cache[PURCHASE_TYPE] = normalizeType(PURCHASE_TYPE, DEFAULT_TYPES.purchase);
+  return cache;
+}
+
+// Idle hours before the reminder, the closing warning and the close itself. `"enabled": false` turns it off.
+const DEFAULT_INACTIVITY = { enabled: true, remindAfterHours: 24, warnAfterHours: 48, closeAfterHours: 72 };
+
+export function getInactivityConfig() {
+  let conf = {};
+  try {
+    conf = JSON.parse(fs.readFileSync(ticketsFile(), "utf8"))?.inactivity || {};
+  } catch {}
+
+  const hours = (v, fallback) => (Number(v) > 0 ? Number(v) : fallback);
+  const remind = hours(conf.remindAfterHours, DEFAULT_INACTIVITY.remindAfterHours);
+  const warn = Math.max(remind, hours(conf.warnAfterHours, DEFAULT_INACTIVITY.warnAfterHours));
+  const close = Math.max(warn, hours(conf.closeAfterHours, DEFAULT_INACTIVITY.closeAfterHours));
+  return {
+    enabled: conf.enabled !== false,
+    remindAfterMs: remind * 3_600_000,
+    warnAfterMs: warn * 3_600_000,
+    closeAfterMs: close * 3_600_000,
+  };
+}
+
+export function listTicketTypes() {
+  return Object.values(cache || loadTicketTypes());
+}
+
+export function getTicketType(key) {
+  const types = cache || loadTicketTypes();
+  return types[key] || null;
+}
+
+// Placeholders: {type} {userId} {username}. Discord channel names are lowercase, without spaces.
+export function ticketChannelName(type, user) {
+  const name = type.naming
+    .replaceAll("{type}", type.key)
+    .replaceAll("{userId}", user.id)
+    .replaceAll("{username}", user.username || user.id);
+  return (
+    name
+      .toLowerCase()
+      .replace(/[^a-z0-9_-]+/g, "-")
+      .replace(/-{2,}/g, "-")
+      .replace(/^-|-$/g, "")
+      .slice(0, 100) || `${type.key}-${user.id}`
+  );
+}
@@ -0,0 +1,152 @@
+import { getDb, transaction } from "./db.js";
+
+// status: "open" | "closed". type: a key from tickets.json. assigneeId is the staff member who claimed the ticket.
+export function getTicket(channelId) {
+  return getDb().prepare("SELECT * FROM tickets WHERE channelId = ?").get(channelId) || null;
+}
+
+export function openTicket({
+  channelId,
+  guildId = null,
+  userId,
+  type = "purchase",
+  controlMessageId = null,
+  openedAt = new Date().toISOString(),
+}) {
+  getDb()
+    .prepare(
+      `INSERT OR IGNORE INTO tickets (channelId, guildId, userId, type, status, controlMessageId, openedAt, lastActivityAt)
+       VALUES (?, ?, ?, ?, 'open', ?, ?, ?)`
+    )
+    .run(channelId, guildId, userId, type, controlMessageId, openedAt, openedAt);
+  return getTicket(channelId);
+}
+
+// A user's open tickets, optionally in one guild and of one type
+export function openTicketsFor(userId, { guildId = null, type = null } = {}) {
+  return getDb()
+    .prepare(
+      `SELECT * FROM tickets
+       WHERE userId = ? AND status = 'open' AND (? IS NULL OR guildId = ?) AND (? IS NULL OR type = ?)
+       ORDER BY openedAt`
+    )
+    .all(userId, guildId, guildId, type, type);
+}
+
+export function setControlMessage(channelId, messageId) {
+  getDb().prepare("UPDATE tickets SET controlMessageId = ? WHERE channelId = ?").run(messageId, channelId);
+}
+
+// assigneeId null = unclaim. expect: the current assignee the caller saw (undefined skips the check),
+// so two staff clicking Claim at once can't both win.
+function assign(channelId, assigneeId, { expect } = {}) {
+  return transaction(() => {
+    const t = getTicket(channelId);
+    if (!t || t.status !== "open") throw new Error("This ticket isn't open");
+    if (expect !== undefined && (t.assigneeId || null) !== expect) {
+      throw new Error(t.assigneeId ? `Already claimed by <@${t.assigneeId}>` : "This ticket isn't claimed");
+    }
+    getDb()
+      .prepare("UPDATE tickets SET assigneeId = ?, claimedAt = ? WHERE channelId = ?")
+      .run(assigneeId, assigneeId ? new Date().toISOString() : null, channelId);
+    return getTicket(channelId);
+  });
+}
+
+export function claimTicket(channelId, staffId) {
+  return assign(channelId, staffId, { expect: null });
+}
+
+export function unclaimTicket(channelId) {
+  return assign(channelId, null);
+}
+
+export function transferTicket(channelId, toStaffId) {
+  const t = getTicket(channelId);
+  if (t?.assigneeId === toStaffId) throw new Error(`<@${toStaffId}> already has this ticket`);
+  return assign(channelId, toStaffId);
+}
+
+// Any message or button click in the ticket restarts the inactivity schedule
+export function touchTicket(channelId, { at = new Date().toISOString() } = {}) {
+  getDb()
+    .prepare("UPDATE tickets SET lastActivityAt = ?, reminderStage = 0, reminderAt = NULL WHERE channelId = ? AND status = 'open'")
+    .run(at, channelId);
+}
+
+// Tickets on hold are never reminded or auto-closed
+export function setTicketHold(channelId, hold) {
+  const t = getTicket(channelId);
+  if (!t || t.status !== "open") throw new Error("This ticket isn't open");
+  getDb().prepare("UPDATE tickets SET hold = ? WHERE channelId = ?").run(hold ? 1 : 0, channelId);
+  return getTicket(channelId);
+}
+
+export function setReminderStage(channelId, stage, { at = new Date().toISOString() } = {}) {
+  getDb().prepare("UPDATE tickets SET reminderStage = ?, reminderAt = ? WHERE channelId = ?").run(stage, at, channelId);
+}
+
+// Open tickets the inactivity scheduler may act on: not on hold and not claimed by staff
+export function idleTickets(before) {
+  return getDb()
+    .prepare(
+      `SELECT * FROM tickets
+       WHERE status = 'open' AND hold = 0 AND assigneeId IS NULL AND COALESCE(lastActivityAt, openedAt) <= ?
+       ORDER BY lastActivityAt`
+    )
+    .all(before);
+}
+
+export function closeTicket(channelId, { at = new Date().toISOString() } = {}) {
+  getDb().prepare("UPDATE tickets SET status = 'closed', closedAt = ? WHERE channelId = ? AND status = 'open'").run(at, channelId);
+}
+
+// Closes open tickets whose channel was deleted while the bot was offline. liveChannelIds: Set of the guild's channels.
+export function reconcileTickets(guildId, liveChannelIds, { at = new Date().toISOString() } = {}) {
+  return transaction(() => {
+    const stale = getDb()
+      .prepare("SELECT channelId FROM tickets WHERE guildId = ? AND status = 'open'")
+      .all(guildId)
+      .filter((r) => !liveChannelIds.has(r.channelId));
+    for (const r of stale) closeTicket(r.channelId, { at });
+    return stale.length;
+  });
+}
+
+// Per assignee: open tickets now, plus orders from their tickets delivered since `since` (ISO, optional)
+// and the average paid → delivered time in ms.
+export function staffLeaderboard({ since = null } = {}) {
+  const d = getDb();
+  const stats = new Map();
+  const get = (id) => {
+    if (!stats.has(id)) stats.set(id, { staffId: id, open: 0, delivered: 0, totalMs: 0, timed: 0 });
+    return stats.get(id);
+  };
+
+  for (const r of d.prepare("SELECT assigneeId, COUNT(*) AS n FROM tickets WHERE status = 'open' AND assigneeId IS NOT NULL GROUP BY assigneeId").all()) {
+    get(r.assigneeId).open = r.n;
+  }
+
+  const rows = d
+    .prepare(
+      `SELECT t.assigneeId, o.data FROM orders o JOIN tickets t ON t.channelId = o.channelId
+       WHERE t.assigneeId IS NOT NULL AND o.status IN ('delivered', 'closed', 'partially_refunded', 'refunded', 'disputed')`
+    )
+    .all();
+  for (const r of rows) {
+    const order = JSON.parse(r.data);
+    const deliveredAt = (order.history || []).find((h) => h.to === "delivered")?.at;
+    if (!deliveredAt || (since && deliveredAt < since)) continue;
+
+    const s = get(r.assigneeId);
+    s.delivered += 1;
+    if (order.paidAt) {
+      s.totalMs += Math.max(0, Date.parse(deliveredAt) - Date.parse(order.paidAt));
+      s.timed += 1;
+    }
+  }
+
+  return [...stats.values()]
+    .map(({ totalMs, timed, ...s }) => ({ ...s, avgDeliveryMs: timed ? Math.round(totalMs / timed) : null }))
+    .sort((a, b) => b.delivered - a.delivered || b.open - a.open);
+}
@@ -0,0 +1,215 @@
+// Self-contained HTML ticket transcript that looks like a Discord channel. Avatars and attachments come in as
+// data: URIs (or files/… paths next to the page); only custom emoji in message text still load from Discord.
+
+const escapeHtml = (s) =>
+  String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+const hexColor = (n) => (n || n === 0 ? `#${Number(n).toString(16).padStart(6, "0")}` : null);
+
+// Anything Date can't represent (e.g. <t:99999999999999>) gives "" instead of throwing
+const fmtTime = (value) => {
+  if (value === null || value === undefined || value === "") return "";
+  const date = new Date(value);
+  return Number.isFinite(date.getTime()) ? `${date.toISOString().replace("T", " ").slice(0, 16)} UTC` : "";
+};
+
+const fmtSize = (n) => (n >= 1048576 ? `${(n / 1048576).toFixed(1)} MB` : `${Math.max(1, Math.round(n / 1024))} KB`);
+
+// Discord markdown, the parts tickets actually use. lookup: { users, roles, channels } id → name
+function markdown(text, lookup = {}) {
+  const blocks = [];
+  let s = escapeHtml(text).replace(/```(?:[a-z0-9]+\n)?([\s\S]*?)```/gi, (_, code) => {
+    blocks.push(`<pre>${code}</pre>`);
+    return `\u0000${blocks.length - 1}\u0000`;
+  });
+
+  s = s
+    .replace(/`([^`\n]+)`/g, "<code>$1</code>")
+    .replace(/(https?:\/\/[^\s<]+?)(?=&gt;|&quot;|\s|$)/gm, '<a href="$1" target="_blank" rel="noreferrer">$1</a>')
+    .replace(/\*\*([\s\S]+?)\*\*/g, "<b>$1</b>")
+    .replace(/__([\s\S]+?)__/g, "<u>$1</u>")
+    .replace(/\*([^*\n]+)\*/g, "<i>$1</i>")
+    .replace(/~~([\s\S]+?)~~/g, "<s>$1</s>")
+    .replace(/&lt;@!?(\d+)&gt;/g, (_, id) => `<span class="mention">@${escapeHtml(lookup.users?.[id] || id)}</span>`)
+    .replace(/&lt;@&amp;(\d+)&gt;/g, (_, id) => `<span class="mention">@${escapeHtml(lookup.roles?.[id] || id)}</span>`)
+    .replace(/&lt;#(\d+)&gt;/g, (_, id) => `<span class="mention">#${escapeHtml(lookup.channels?.[id] || id)}</span>`)
+    .replace(/&lt;t:(\d+)(?::[a-zA-Z])?&gt;/g, (raw, t) => {
+      const time = fmtTime(Number(t) * 1000);
+      return time ? `<span class="time">${time}</span>` : raw;
+    })
+    .replace(
+      /&lt;(a?):(\w+):(\d+)&gt;/g,
+      (_, a, name, id) =>
+        `<img class="emoji" alt=":${name}:" title=":${name}:" src="https://cdn.discordapp.com/emojis/${id}.${a ? "gif" : "png"}">`
+    )
+    .replace(/^&gt; (.*)$/gm, '<span class="quote">$1</span>')
+    .replace(/\n/g, "<br>");
+
+  return s.replace(/\u0000(\d+)\u0000/g, (_, n) => blocks[Number(n)]);
+}
+
+function renderEmbed(e, lookup) {
+  const fields = (e.fields || [])
+    .map(
+      (f) =>
+        `<div class="field${f.inline ? " inline" : ""}"><div class="field-name">${markdown(f.name, lookup)}</div><div>${markdown(
+          f.value,
+          lookup
+        )}</div></div>`
+    )
+    .join("");
+
+  return `<div class="embed" style="border-left-color:${hexColor(e.color) || "#1e1f22"}">
+  <div class="embed-body">
+    ${e.author?.name ? `<div class="embed-author">${e.author.icon ? `<img src="${escapeHtml(e.author.icon)}" alt="">` : ""}${escapeHtml(e.author.name)}</div>` : ""}
+    ${e.title ? `<div class="embed-title">${e.url ? `<a href="${escapeHtml(e.url)}">${escapeHtml(e.title)}</a>` : escapeHtml(e.title)}</div>` : ""}
+    ${e.description ? `<div>${markdown(e.description, lookup)}</div>` : ""}
+    ${fields ? `<div class="fields">${fields}</div>` : ""}
+    ${e.image ? `<img class="embed-image" src="${escapeHtml(e.image)}" alt="">` : ""}
+    ${e.footer?.text || e.timestamp ? `<div class="embed-footer">${escapeHtml([e.footer?.text, fmtTime(e.timestamp)].filter(Boolean).join(" • "))}</div>` : ""}
+  </div>
+  ${e.thumbnail ? `<img class="embed-thumb" src="${escapeHtml(e.thumbnail)}" alt="">` : ""}
+</div>`;
+}
+
+const BUTTON_STYLES = { 1: "primary", 2: "secondary", 3: "success", 4: "danger", 5: "link" };
+
+// Components are drawn disabled: the ticket is closed, nothing on the page can be clicked
+function renderComponents(rows) {
+  return rows
+    .map(
+      (row) =>
+        `<div class="row">${row
+          .map((c) =>
+            c.type === "button"
+              ? `<span class="button ${BUTTON_STYLES[c.style] || "secondary"}">${escapeHtml(
+                  [c.emoji, c.label].filter(Boolean).join(" ")
+                )}${c.style === 5 ? " ↗" : ""}</span>`
+              : `<span class="select">${escapeHtml(c.placeholder || "Select…")} ▾</span>`
+          )
+          .join("")}</div>`
+    )
+    .join("");
+}
+
+function renderAttachment(a) {
+  const isImage = String(a.contentType || "").startsWith("image/");
+  const note = a.stored === "remote" ? " (original link, may have expired)" : "";
+  if (isImage && a.stored !== "remote") return `<a href="${escapeHtml(a.src)}" download="${escapeHtml(a.name)}"><img class="attachment-image" src="${escapeHtml(a.src)}" alt="${escapeHtml(a.name)}"></a>`;
+  return `<div class="file">📎 <a href="${escapeHtml(a.src)}" download="${escapeHtml(a.name)}">${escapeHtml(a.name)}</a> <span class="muted">${fmtSize(
+    Number(a.size || 0)
+  )}${note}</span></div>`;
+}
+
+function renderMessage(m, prev, lookup) {
+  // Like Discord, consecutive messages from one author within 7 minutes share a header
+  const grouped =
+    prev && !m.replyTo && prev.author.id === m.author.id && Date.parse(m.at) - Date.parse(prev.at) < 7 * 60_000;
+  const reply = m.replyTo ? `<div class="reply">↪ replying to ${escapeHtml(m.replyTo.author)}: ${escapeHtml((m.replyTo.content || "").slice(0, 80))}</div>` : "";
+
+  return `<div class="message${grouped ? " grouped" : ""}" id="m-${escapeHtml(m.id)}">
+  ${grouped ? '<div class="gutter"></div>' : `<img class="avatar" src="${escapeHtml(m.author.avatar || "")}" alt="">`}
+  <div class="content">
+    ${reply}
+    ${
+      grouped
+        ? ""
+        : `<div class="header"><span class="author" style="color:${escapeHtml(m.author.color || "#f2f3f5")}" title="${escapeHtml(
+            m.author.tag
+          )} (${escapeHtml(m.author.id)})">${escapeHtml(m.author.name)}</span>${m.author.bot ? '<span class="bot">BOT</span>' : ""}<span class="time">${fmtTime(
+            m.at
+          )}</span></div>`
+    }
+    ${m.content ? `<div class="text">${markdown(m.content, lookup)}${m.editedAt ? ' <span class="muted">(edited)</span>' : ""}</div>` : ""}
+    ${(m.attachments || []).map(renderAttachment).join("")}
+    ${(m.embeds || []).map((e) => renderEmbed(e, lookup)).join("")}
+    ${m.components?.length ? renderComponents(m.components) : ""}
+    ${
+      m.reactions?.length
+        ? `<div class="reactions">${m.reactions
+            .map(
+              (r) =>
+                `<span class="reaction">${r.emoji.src ? `<img class="emoji" src="${escapeHtml(r.emoji.src)}" alt=":${escapeHtml(r.emoji.name)}:">` : escapeHtml(r.emoji.name)} ${r.count}</span>`
+            )
+            .join("")}</div>`
+        : ""
+    }
+  </div>
+</div>`;
+}
+
+const STYLES = `
+body{margin:0;background:#313338;color:#dbdee1;font:15px/1.4 "gg sans","Noto Sans","Helvetica Neue",Arial,sans-serif}
+a{color:#00a8fc}
+header{padding:16px 20px;border-bottom:1px solid #1f2023;background:#2b2d31}
+header h1{margin:0 0 4px;font-size:18px;color:#f2f3f5}
+.muted{color:#949ba4;font-size:12px}
+.messages{padding:10px 0}
+.message{display:flex;gap:16px;padding:4px 20px 2px}
+.message:hover{background:#2e3035}
+.message:not(.grouped){margin-top:14px}
+.avatar{width:40px;height:40px;border-radius:50%;flex:none;background:#1e1f22}
+.gutter{width:40px;flex:none}
+.content{min-width:0;flex:1}
+.header{display:flex;align-items:baseline;gap:8px}
+.author{font-weight:600}
+.bot{background:#5865f2;color:#fff;font-size:10px;font-weight:700;padding:1px 4px;border-radius:3px}
+.time{color:#949ba4;font-size:12px}
+.text{white-space:normal;word-wrap:break-word}
+.reply{color:#949ba4;font-size:13px}
+code{background:#2b2d31;padding:1px 4px;border-radius:3px;font-size:13px}
+pre{background:#2b2d31;border:1px solid #1e1f22;padding:8px;border-radius:4px;white-space:pre-wrap;font-size:13px}
+.quote{display:block;border-left:4px solid #4e5058;padding-left:10px}
+.mention{background:rgba(88,101,242,.3);color:#c9cdfb;padding:0 2px;border-radius:3px}
+.emoji{width:20px;height:20px;vertical-align:-4px}
+.embed{display:flex;max-width:520px;margin-top:4px;background:#2b2d31;border-left:4px solid;border-radius:4px;padding:8px 16px 12px 12px;gap:12px}
+.embed-body{min-width:0;flex:1}
+.embed-author{font-size:13px;font-weight:600;margin:4px 0}
+.embed-author img{width:20px;height:20px;border-radius:50%;vertical-align:-5px;margin-right:6px}
+.embed-title{font-weight:600;color:#f2f3f5;margin:4px 0}
+.fields{display:flex;flex-wrap:wrap;gap:8px 0;margin-top:8px}
+.field{flex:1 0 100%;font-size:14px}
+.field.inline{flex:1 0 30%}
+.field-name{font-weight:600;color:#f2f3f5}
+.embed-image,.attachment-image{max-width:400px;max-height:300px;border-radius:4px;margin-top:8px;display:block}
+.embed-thumb{width:80px;height:80px;object-fit:cover;border-radius:4px}
+.embed-footer{font-size:12px;color:#949ba4;margin-top:8px}
+.file{background:#2b2d31;border:1px solid #1e1f22;border-radius:4px;padding:10px;margin-top:4px;max-width:420px}
+.row{display:flex;flex-wrap:wrap;gap:8px;margin-top:6px}
+.button,.select{padding:4px 14px;border-radius:3px;font-size:14px;color:#fff;opacity:.5;cursor:not-allowed}
+.button.primary{background:#5865f2}.button.secondary,.button.link{background:#4e5058}.button.success{background:#248046}.button.danger{background:#da373c}
+.select{background:#1e1f22;min-width:260px}
+.reactions{display:flex;gap:4px;margin-top:4px}
+.reaction{background:#2b2d31;border:1px solid #3f4147;border-radius:8px;padding:1px 6px;font-size:13px}
+`;
+
+// messages: oldest first, see renderMessage for the shape. lookup: { users, roles, channels } id → name
+export function renderTranscriptPage({ storeName, guildName, channel, ticket, closedAt, messages, lookup = {} }) {
+  const meta = [
+    ticket?.type ? `Type: ${ticket.type}` : "",
+    ticket?.userId ? `Opened by: ${lookup.users?.[ticket.userId] || ticket.userId}` : "",
+    ticket?.openedAt ? `Opened: ${fmtTime(ticket.openedAt)}` : "",
+    `Closed: ${fmtTime(closedAt)}`,
+    `${messages.length} message(s)`,
+  ].filter(Boolean);
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  <meta name="robots" content="noindex" />
+  <title>#${escapeHtml(channel.name)} — ${escapeHtml(storeName)} transcript</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>#${escapeHtml(channel.name)}</h1>
+  <div class="muted">${escapeHtml(guildName || storeName)} · ${escapeHtml(channel.id)} · ${meta.map(escapeHtml).join(" · ")}</div>
+</header>
+<main class="messages">
+${messages.map((m, idx) => renderMessage(m, messages[idx - 1], lookup)).join("\n")}
+</main>
+</body>
+</html>`;
+}
@@ -0,0 +1,119 @@
+import fs from "fs";
+import path from "path";
+import fetch from "node-fetch";
+import { getDb } from "./db.js";
+import { signToken, signedUrl } from "./links.js";
+
+// Transcripts live in TRANSCRIPTS_DIR/<channelId>/: transcript.html plus files/ for attachments too big to inline.
+// Read lazily: index.js loads .env after its imports are evaluated.
+const transcriptsDir = () => path.resolve(process.env.TRANSCRIPTS_DIR || "./transcripts");
+const inlineLimit = () => Number(process.env.TRANSCRIPT_INLINE_KB || 512) * 1024;
+const archiveLimit = () => Number(process.env.TRANSCRIPT_ARCHIVE_MB || 8) * 1024 * 1024;
+const linkDays = () => Number(process.env.TRANSCRIPT_LINK_DAYS || 365);
+
+export const transcriptFolder = (channelId) => path.join(transcriptsDir(), String(channelId));
+
+const safeName = (name) => String(name || "file").replace(/[^\w.-]+/g, "_").slice(0, 80);
+
+// Archived files are served by GET /transcripts/<channelId>/files/<name> behind a signed token, so the page works
+// wherever it's opened. null when PUBLIC_BASE_URL or LINK_SECRET isn't set.
+function archivedFileUrl(channelId, rel) {
+  try {
+    return signedUrl(`/transcripts/${channelId}/${rel}`, "transcript", String(channelId), { days: linkDays() });
+  } catch {
+    return null;
+  }
+}
+
+async function download(url, maxBytes) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const buf = Buffer.from(await res.arrayBuffer());
+  if (buf.length > maxBytes) throw new Error("too large");
+  return { buf, contentType: res.headers.get("content-type") || "application/octet-stream" };
+}
+
+// Small files become data: URIs; bigger ones (up to TRANSCRIPT_ARCHIVE_MB) are saved next to the transcript
+// and linked through the signed file route. Anything else keeps its CDN URL, which stops working after a while.
+// att: { id, name, url, size, contentType } → adds { src, stored: "inline" | "archived" | "remote" }
+export async function keepAttachment(att, channelId) {
+  const size = Number(att.size || 0);
+  try {
+    if (size && size <= inlineLimit()) {
+      const { buf, contentType } = await download(att.url, inlineLimit());
+      return { ...att, src: `data:${att.contentType || contentType};base64,${buf.toString("base64")}`, stored: "inline" };
+    }
+    const rel = `files/${att.id}-${safeName(att.name)}`;
+    const url = size && size <= archiveLimit() ? archivedFileUrl(channelId, rel) : null;
+    if (url) {
+      const { buf } = await download(att.url, archiveLimit());
+      const file = path.join(transcriptFolder(channelId), rel);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, buf);
+      return { ...att, src: url, stored: "archived" };
+    }
+  } catch (e) {
+    console.log(`Transcript attachment ${att.name} not kept (${e.message}).`);
+  }
+  return { ...att, src: att.url, stored: "remote" };
+}
+
+// Avatars and custom emoji are inlined once per URL so the page still renders offline
+export function imageInliner() {
+  const cache = new Map();
+  return async (url) => {
+    if (!url) return null;
+    if (!cache.has(url)) {
+      cache.set(
+        url,
+        download(url, 256 * 1024)
+          .then(({ buf, contentType }) => `data:${contentType};base64,${buf.toString("base64")}`)
+          .catch(() => url)
+      );
+    }
+    return cache.get(url);
+  };
+}
+
+// Replaces the stored transcript of a channel (a ticket is only closed once, but +close can be retried)
+export function saveTranscript({ channelId, guildId = null, userId = null, html, messageCount, attachmentCount }) {
+  const folder = transcriptFolder(channelId);
+  fs.mkdirSync(folder, { recursive: true });
+  const file = path.join(folder, "transcript.html");
+  fs.writeFileSync(file, html, "utf8");
+
+  getDb()
+    .prepare(
+      `INSERT INTO transcripts (channelId, guildId, userId, file, messageCount, attachmentCount, createdAt)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(channelId) DO UPDATE SET file = excluded.file, messageCount = excluded.messageCount,
+         attachmentCount = excluded.attachmentCount, createdAt = excluded.createdAt`
+    )
+    .run(channelId, guildId, userId, file, messageCount, attachmentCount, new Date().toISOString());
+  return getTranscript(channelId);
+}
+
+// The stored page with its file links signed again, for uploading when the original tokens may have run out
+export function transcriptHtml(transcript) {
+  const html = fs.readFileSync(transcript.file, "utf8");
+  let token;
+  try {
+    token = encodeURIComponent(signToken("transcript", transcript.channelId, { days: linkDays() }));
+  } catch {
+    return html;
+  }
+  return html.replace(new RegExp(`(/transcripts/${transcript.channelId}/files/[^"?]+\\?token=)[^"&]+`, "g"), `$1${token}`);
+}
+
+export function getTranscript(channelId) {
+  return getDb().prepare("SELECT * FROM transcripts WHERE channelId = ?").get(channelId) || null;
+}
+
+// Orders point at their ticket channel, so an order's transcript is its channel's
+export function getTranscriptForOrder(orderId) {
+  return (
+    getDb()
+      .prepare("SELECT t.* FROM transcripts t JOIN orders o ON o.channelId = t.channelId WHERE o.id = ?")
+      .get(orderId) || null
+  );
+}
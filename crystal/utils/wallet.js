@@ -0,0 +1,36 @@
+import { getDb, transaction } from "./db.js";
+
+const round2 = (n) => Number(Number(n).toFixed(2));
+
+export function getBalance(userId) {
+  const row = getDb().prepare("SELECT COALESCE(SUM(amount), 0) AS balance FROM wallet_transactions WHERE userId = ?").get(userId);
+  return round2(row.balance);
+}
+
+// amount > 0 credits, < 0 debits. The balance can never go below zero.
+// actor: "staff:<id>", "customer:<id>", "system"
+export function adjustWallet(userId, amount, { reason, actor = "system", orderId = null } = {}) {
+  const a = round2(amount);
+  if (!userId) throw new Error("Missing user");
+  if (!Number.isFinite(a) || a === 0) throw new Error("Amount must be a non-zero number");
+  if (!reason) throw new Error("A reason is required");
+
+  return transaction(() => {
+    const balance = round2(getBalance(userId) + a);
+    if (balance < 0) throw new Error(`Not enough store credit (balance $${getBalance(userId).toFixed(2)})`);
+
+    getDb()
+      .prepare(
+        `INSERT INTO wallet_transactions (userId, amount, balanceAfter, reason, orderId, actor, createdAt)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(userId, a, balance, reason, orderId, actor, new Date().toISOString());
+    return { amount: a, balance };
+  });
+}
+
+export function walletHistory(userId, { limit = 10 } = {}) {
+  return getDb()
+    .prepare("SELECT * FROM wallet_transactions WHERE userId = ? ORDER BY id DESC LIMIT ?")
+    .all(userId, limit);
+}
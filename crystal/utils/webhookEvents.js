@@ -0,0 +1,48 @@
+import { getDb } from "./db.js";
+
+// status: received -> processed | ignored | failed
+
+export function getWebhookEvent(id) {
+  return getDb().prepare("SELECT * FROM webhook_events WHERE id = ?").get(id) || null;
+}
+
+export function listWebhookEvents({ orderId = null, limit = 10 } = {}) {
+  if (orderId) {
+    return getDb()
+      .prepare("SELECT * FROM webhook_events WHERE orderId = ? ORDER BY receivedAt DESC LIMIT ?")
+      .all(orderId, limit);
+  }
+  return getDb().prepare("SELECT * FROM webhook_events ORDER BY receivedAt DESC LIMIT ?").all(limit);
+}
+
+// A delivery still "received" after this long was cut off (e.g. by a restart) and may run again
+const STALE_RECEIVED_MS = 5 * 60 * 1000;
+
+const canRetry = (event) =>
+  event.status === "failed" ||
+  (event.status === "received" && Date.now() - new Date(event.receivedAt).getTime() > STALE_RECEIVED_MS);
+
+// Stores the delivery. Returns { event, duplicate } — duplicate when it was already handled
+// or is still being handled. Failed and stale events are picked up again by a provider retry.
+export function recordWebhookEvent({ id, provider, type, orderId, payload }) {
+  const existing = getWebhookEvent(id);
+  if (existing && !canRetry(existing)) return { event: existing, duplicate: true };
+
+  // receivedAt is when the latest attempt started
+  getDb()
+    .prepare(
+      `INSERT INTO webhook_events (id, provider, type, orderId, payload, status, receivedAt)
+       VALUES (?, ?, ?, ?, ?, 'received', ?)
+       ON CONFLICT(id) DO UPDATE SET payload = excluded.payload, status = 'received', receivedAt = excluded.receivedAt`
+    )
+    .run(id, provider, type || null, orderId || null, payload, new Date().toISOString());
+
+  return { event: getWebhookEvent(id), duplicate: false };
+}
+
+export function finishWebhookEvent(id, status, outcome) {
+  getDb()
+    .prepare("UPDATE webhook_events SET status = ?, outcome = ?, attempts = attempts + 1, processedAt = ? WHERE id = ?")
+    .run(status, outcome || null, new Date().toISOString(), id);
+  return getWebhookEvent(id);
+}